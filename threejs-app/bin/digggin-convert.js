@@ -0,0 +1,346 @@
+#!/usr/bin/env node
+/**
+ * Command-line data converter for DIGGGIN record database
+ * Validates the catalog CSV and converts it to the JSON the Three.js app loads,
+ * the same way convert-data.html does, so records.json can be built at deploy time.
+ *
+ *   digggin-convert DiggerDB.csv -o data/records.json --minify --fail-on-error
+ *   digggin-convert DiggerDB.csv -o data/manifest.json --shard-by genre --compact
+ *   digggin-convert DiggerDB.csv --import collection.csv --import Library.xml -o data/records.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CatalogImporter, DataConverter, DatasetSchema, DatasetValidator } = require('../js/node');
+
+const USAGE = `Usage: digggin-convert <input.csv> [options]
+
+Options:
+  -o, --output <file>   Write the JSON here (default: standard output)
+      --pretty          Indent the JSON (default, except with --compact)
+      --minify          Write the JSON on one line
+      --compact         Write the compact format: string tables and columns,
+                        derived fields rebuilt by the app
+      --shard-by <how>  Write a manifest to --output and the records as shards in
+                        a shards/ folder next to it, one per "genre" or by "size"
+      --shard-size <n>  Records per shard with --shard-by size (default 250)
+      --previous <file> The records.json or manifest being replaced: changes since it
+                        go in the changelog, records keep the date they were added
+                        and genreIndex and moodIndex keep the numbering it used
+      --diff <file>     With --previous, write every added, removed and modified
+                        record (with its changed fields) to a JSON file
+      --import <file>   Add another catalog to the records: a Discogs collection CSV
+                        export, an iTunes/Apple Music library XML or a JSON array
+                        (repeatable; the format is detected)
+      --mapping <file>  JSON with { "mapping": { field: key }, "defaults": { field: value } }
+                        for the --import before it, e.g. to map a JSON array's keys
+      --fail-on-error   Exit with status 1, writing nothing, if validation finds errors
+      --fail-on-warning Same, for errors or warnings
+      --report <file>   Write every validation issue to a CSV file
+  -q, --quiet           Only print problems
+  -h, --help            Show this help
+
+Cover palettes are not analyzed here (that needs a browser canvas);
+use convert-data.html for them.`;
+
+/**
+ * Issues listed on the console when the conversion is stopped
+ */
+const MAX_LISTED_ISSUES = 20;
+
+/**
+ * Parse command-line arguments
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} { input, output, pretty, compact, shardBy, shardSize, previous, diff, imports, failOn, report, quiet, help } -
+ *   imports as { file, mapping } with mapping the --mapping file name
+ */
+function parseArgs(args) {
+    const options = {
+        input: null, output: null, pretty: null, compact: false, shardBy: null, shardSize: null, previous: null, diff: null,
+        imports: [], failOn: null, report: null, quiet: false, help: false
+    };
+    const valueOf = (flag, index, what = 'a file name') => {
+        const value = args[index + 1];
+        if (value === undefined || value.startsWith('-')) {
+            throw new Error(`${flag} needs ${what}`);
+        }
+        return value;
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '-o':
+            case '--output':
+                options.output = valueOf(arg, i++);
+                break;
+            case '--pretty':
+                options.pretty = true;
+                break;
+            case '--minify':
+                options.pretty = false;
+                break;
+            case '--compact':
+                options.compact = true;
+                break;
+            case '--shard-by':
+                options.shardBy = valueOf(arg, i++, '"genre" or "size"');
+                if (!['genre', 'size'].includes(options.shardBy)) {
+                    throw new Error(`${arg} takes "genre" or "size"`);
+                }
+                break;
+            case '--shard-size':
+                options.shardSize = parseInt(valueOf(arg, i++, 'a number'), 10);
+                if (!(options.shardSize > 0)) {
+                    throw new Error(`${arg} needs a positive number`);
+                }
+                break;
+            case '--previous':
+                options.previous = valueOf(arg, i++);
+                break;
+            case '--diff':
+                options.diff = valueOf(arg, i++);
+                break;
+            case '--import':
+                options.imports.push({ file: valueOf(arg, i++), mapping: null });
+                break;
+            case '--mapping': {
+                const last = options.imports[options.imports.length - 1];
+                if (!last) {
+                    throw new Error(`${arg} goes after the --import it maps`);
+                }
+                last.mapping = valueOf(arg, i++);
+                break;
+            }
+            case '--fail-on-error':
+                options.failOn = options.failOn || 'error';
+                break;
+            case '--fail-on-warning':
+                options.failOn = 'warning';
+                break;
+            case '--report':
+                options.report = valueOf(arg, i++);
+                break;
+            case '-q':
+            case '--quiet':
+                options.quiet = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-') || options.input) {
+                    throw new Error(`Unexpected argument: ${arg}`);
+                }
+                options.input = arg;
+        }
+    }
+    return options;
+}
+
+/**
+ * Create the folder a file goes in, if needed
+ * @param {string} filename - File path
+ */
+function ensureFolder(filename) {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+}
+
+/**
+ * Read a previous dataset
+ * A manifest gets the records of its shards (read from next to it) so it can be compared.
+ * @param {string} filename - records.json (plain or compact) or manifest
+ * @returns {Object} Parsed document with a records array
+ */
+function readPrevious(filename) {
+    const document = JSON.parse(fs.readFileSync(filename, 'utf8'));
+    if (!document || document.format !== 'manifest') {
+        return document;
+    }
+
+    const schema = new DatasetSchema();
+    const records = [];
+    document.shards.forEach(shard => {
+        const shardDocument = JSON.parse(fs.readFileSync(path.join(path.dirname(filename), shard.file), 'utf8'));
+        records.push(...schema.upgrade(shardDocument).document.records);
+    });
+    const { format, shards, ...rest } = document;
+    return { ...rest, records };
+}
+
+/**
+ * Read a catalog given with --import, and its --mapping file
+ * @param {Object} source - { file, mapping } from parseArgs
+ * @returns {Object} { name, text, mapping, defaults, format } - an import for DataConverter.convertData
+ */
+function readImport(source) {
+    const options = source.mapping ? JSON.parse(fs.readFileSync(source.mapping, 'utf8')) : {};
+    return {
+        name: path.basename(source.file),
+        text: fs.readFileSync(source.file, 'utf8'),
+        format: options.format,
+        mapping: options.mapping,
+        defaults: options.defaults
+    };
+}
+
+/**
+ * Format a byte count for the console
+ * @param {number} bytes - Size
+ * @returns {string} e.g. "118.9 KB"
+ */
+function formatSize(bytes) {
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+async function main(args) {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!options.input) {
+        console.error(USAGE);
+        return 2;
+    }
+    if (options.diff && !options.previous) {
+        console.error(`--diff needs --previous to compare with\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.shardBy && !options.output) {
+        console.error(`--shard-by needs --output for the manifest\n\n${USAGE}`);
+        return 2;
+    }
+
+    // Standard output may carry the JSON, so progress goes to standard error
+    console.log = options.quiet ? () => {} : console.error;
+
+    let csvData;
+    try {
+        csvData = fs.readFileSync(options.input, 'utf8');
+    } catch (error) {
+        console.error(`Could not read ${options.input}: ${error.message}`);
+        return 1;
+    }
+
+    let imports;
+    try {
+        imports = options.imports.map(readImport);
+    } catch (error) {
+        console.error(`Could not read the catalogs to import: ${error.message}`);
+        return 1;
+    }
+
+    // Imported catalogs are validated as the rows they become; their issues name the file
+    const validator = new DatasetValidator();
+    const report = validator.validateCSV(csvData);
+    const importer = new CatalogImporter(validator.processor);
+    for (const { name, text, ...importOptions } of imports) {
+        let importReport;
+        try {
+            importReport = validator.validateImport(importer.read(text, importOptions));
+        } catch (error) {
+            console.error(`Could not import ${name}: ${error.message}`);
+            return 1;
+        }
+        report.issues.push(...importReport.issues.map(issue => ({ ...issue, message: `${name}: ${issue.message}` })));
+        Object.keys(report.summary.bySeverity).forEach(severity => {
+            report.summary.bySeverity[severity] += importReport.summary.bySeverity[severity];
+        });
+        Object.entries(importReport.summary.byRule).forEach(([rule, count]) => {
+            report.summary.byRule[rule] = (report.summary.byRule[rule] || 0) + count;
+        });
+        report.summary.records += importReport.summary.records;
+    }
+    const { bySeverity } = report.summary;
+    console.log(`✓ Validated ${report.summary.records} records ` +
+        `(${bySeverity.error} errors, ${bySeverity.warning} warnings, ${bySeverity.info} notes)`);
+
+    if (options.report) {
+        ensureFolder(options.report);
+        fs.writeFileSync(options.report, validator.toCSV(report));
+        console.log(`✓ Validation report saved to ${options.report}`);
+    }
+
+    const failing = report.issues.filter(issue =>
+        issue.severity === 'error' || (options.failOn === 'warning' && issue.severity === 'warning'));
+    if (options.failOn && failing.length > 0) {
+        failing.slice(0, MAX_LISTED_ISSUES).forEach(issue => {
+            const where = issue.cell || (issue.line === null ? 'columns' : `line ${issue.line}`);
+            console.error(`  ${where}: [${issue.severity}] ${issue.message}`);
+        });
+        if (failing.length > MAX_LISTED_ISSUES) {
+            console.error(`  ...and ${failing.length - MAX_LISTED_ISSUES} more`);
+        }
+        console.error(`✗ Validation failed with ${failing.length} ${options.failOn === 'warning' ? 'errors or warnings' : 'errors'}; nothing written`);
+        return 1;
+    }
+
+    let previous = null;
+    if (options.previous) {
+        try {
+            previous = readPrevious(options.previous);
+        } catch (error) {
+            console.error(`Could not read ${options.previous}: ${error.message}`);
+            return 1;
+        }
+        if (!(previous && previous.metadata && previous.metadata.indexOrder)) {
+            console.warn(`${options.previous} has no index order; genreIndex and moodIndex are numbered afresh`);
+        }
+    }
+
+    const converter = new DataConverter();
+    const data = await converter.convertData(csvData, { previous, imports });
+
+    if (converter.diff) {
+        const [latest] = data.metadata.changelog;
+        console.log(`✓ Changes since ${latest.since || options.previous}: ${latest.added} added, ` +
+            `${latest.removed} removed, ${latest.modified} modified`);
+        if (options.diff) {
+            ensureFolder(options.diff);
+            fs.writeFileSync(options.diff, JSON.stringify(converter.datasetDiff.toReport(converter.diff), null, 2) + '\n');
+            console.log(`✓ Changes saved to ${options.diff}`);
+        }
+    }
+
+    const format = {
+        pretty: options.pretty === null ? !options.compact : options.pretty,
+        compact: options.compact
+    };
+    if (options.shardBy) {
+        ensureFolder(options.output);
+        const { shards, sizes } = converter.saveShards(data, options.output,
+            { ...format, by: options.shardBy, size: options.shardSize });
+        console.log(`✓ Manifest ${formatSize(sizes.manifest)}, ${shards.length} shards ` +
+            `totalling ${formatSize(sizes.shards)} from ${formatSize(converter.sourceSize)} of CSV`);
+        return 0;
+    }
+    if (options.output) {
+        ensureFolder(options.output);
+        converter.saveToFile(data, options.output, format);
+    } else {
+        process.stdout.write(converter.serialize(data, format) + '\n');
+    }
+
+    const sizes = converter.getSizeReport();
+    const written = options.compact ? 'compact' : format.pretty ? 'pretty' : 'minified';
+    console.log(`✓ ${formatSize(sizes[written])} of ${written} JSON from ${formatSize(sizes.source)} of CSV ` +
+        `(ratio ${converter.calculateCompressionRatio(sizes, written)}; ` +
+        `pretty ${formatSize(sizes.pretty)}, minified ${formatSize(sizes.minified)}, compact ${formatSize(sizes.compact)})`);
+    return 0;
+}
+
+main(process.argv.slice(2)).then(
+    status => { process.exitCode = status; },
+    error => {
+        console.error(error.stack || error.message);
+        process.exitCode = 1;
+    }
+);
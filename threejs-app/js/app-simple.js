@@ -7,6 +7,7 @@ class DIGGGINApp {
     constructor() {
         // Core components
         this.dataProcessor = null;
+        this.dataService = null;
         this.sceneManager = null;
         this.recordManager = null;
         this.controlsManager = null;
@@ -19,7 +20,8 @@ class DIGGGINApp {
         // Configuration
         this.config = {
             csvPath: '../DiggerDB.csv',
-            jsonPath: 'data/sample-records.json',
+            jsonPath: 'data/records.json', // Built by bin/digggin-convert.js
+            manifestPath: 'data/manifest.json', // Sharded catalog (bin/digggin-convert.js --shard-by)
             maxRecords: 100,
             enableCache: true,
             enableAnalytics: false,
@@ -85,8 +87,9 @@ class DIGGGINApp {
      * Initialize 3D mode with Three.js
      */
     async init3DMode() {
-        // Initialize components in order
+        // Initialize components in order; heavy data work runs in a worker
         this.dataProcessor = new DataProcessor();
+        this.dataService = new DataService({ processor: this.dataProcessor });
         
         const canvas = document.getElementById('threejs-canvas');
         if (!canvas) {
@@ -94,7 +97,7 @@ class DIGGGINApp {
         }
         
         this.sceneManager = new SceneManager(canvas);
-        this.recordManager = new RecordManager(this.sceneManager, this.dataProcessor);
+        this.recordManager = new RecordManager(this.sceneManager, this.dataProcessor, this.dataService);
         this.controlsManager = new ControlsManager(this.recordManager, this.sceneManager);
         
         // Load data
@@ -151,11 +154,23 @@ class DIGGGINApp {
         
         try {
             if (this.config.preferJSON) {
+                // A sharded catalog starts fastest: only the manifest is needed up front
+                try {
+                    const manifestURL = new URL(this.config.manifestPath, window.location.href).href;
+                    const response = await fetch(manifestURL);
+                    if (response.ok) {
+                        await this.recordManager.loadFromManifest(await response.json(), manifestURL);
+                        console.log('✓ Records loaded from sharded catalog');
+                        return;
+                    }
+                } catch (error) {
+                    console.warn('Sharded catalog loading failed, trying JSON:', error.message);
+                }
+                
                 try {
                     const response = await fetch(this.config.jsonPath);
                     if (response.ok) {
-                        const jsonData = await response.json();
-                        await this.recordManager.loadRecordsFromJSON(jsonData);
+                        await this.recordManager.loadFromResponse(response, 'json');
                         console.log('✓ Records loaded from JSON');
                         return;
                     }
@@ -170,8 +185,8 @@ class DIGGGINApp {
                 throw new Error(`Failed to fetch data: ${response.status}`);
             }
             
-            const csvData = await response.text();
-            await this.recordManager.loadRecords(csvData);
+            // Stream so records show up in the crates while the file downloads
+            await this.recordManager.loadFromResponse(response, 'csv');
             console.log('✓ Records loaded from CSV');
             
         } catch (error) {
@@ -196,12 +211,12 @@ class DIGGGINApp {
             try {
                 const response = await fetch(this.config.jsonPath);
                 if (response.ok) {
-                    const jsonData = await response.json();
-                    records = jsonData.records || [];
+                    const { document } = new DatasetSchema().upgrade(await response.json());
+                    records = this.dataProcessor.setRecords(document.records);
                     console.log('✓ Loaded records from JSON:', records.length);
                 }
             } catch (error) {
-                console.warn('JSON loading failed, trying CSV');
+                console.warn('JSON loading failed, trying CSV:', error.message);
                 
                 // Fallback to CSV
                 const response = await fetch(this.config.csvPath);
@@ -417,6 +432,9 @@ class DIGGGINApp {
         if (this.sceneManager) {
             this.sceneManager.dispose();
         }
+        if (this.dataService) {
+            this.dataService.dispose();
+        }
         console.log('DIGGGIN application disposed');
     }
 }
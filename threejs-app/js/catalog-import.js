@@ -0,0 +1,469 @@
+/**
+ * External catalog importers for DIGGGIN record database
+ * Reads a Discogs collection CSV export, an Apple Music / iTunes library XML or a
+ * JSON array and maps its entries onto record fields. The result is a table of
+ * record fields (see read) that goes through the same record creation, taxonomy
+ * normalization and validation as DiggerDB.csv rows (see DataProcessor.importCatalog
+ * and DatasetValidator.validateImport).
+ */
+
+class CatalogImporter {
+    /**
+     * @param {DataProcessor} processor - Supplies the CSV tokenizer and the column schema
+     */
+    constructor(processor = new DataProcessor()) {
+        this.processor = processor;
+    }
+
+    /**
+     * Guess the format of a catalog file
+     * @param {string} text - File contents
+     * @returns {string} 'itunes', 'json', 'discogs' or 'digggin' (DiggerDB.csv layout)
+     */
+    detectFormat(text) {
+        const start = String(text || '').replace(/^\uFEFF/, '').trimStart();
+        if (start.startsWith('<')) {
+            return 'itunes';
+        }
+        if (start.startsWith('[') || start.startsWith('{')) {
+            return 'json';
+        }
+
+        const headers = this.processor.parseCSVRow(start.split(/\r?\n/, 1)[0])
+            .map(header => this.processor.normalizeHeader(header));
+        return CatalogImporter.DISCOGS_SIGNATURE.every(header => headers.includes(header)) ? 'discogs' : 'digggin';
+    }
+
+    /**
+     * Map a catalog file onto record fields
+     * @param {string} text - File contents
+     * @param {Object} options - Import options
+     * @param {string} options.format - 'discogs', 'itunes' or 'json' (detected when omitted)
+     * @param {Object} options.mapping - Record field -> source key (or list of keys, first
+     *   non-empty wins; dotted paths reach into nested JSON). Replaces the format's
+     *   built-in mapping for Discogs and iTunes, and the suggested one for JSON.
+     * @param {Object} options.defaults - Record field -> value for entries that have none
+     *   (e.g. a genre for a whole Discogs collection, which the export doesn't carry)
+     * @returns {Object} { format, headers, rows, skipped, mapping } - headers are record field
+     *   names; rows are { line, fields, custom } with line the entry's position in the file and
+     *   custom its unmapped values; skipped lists { line, reason } for entries left out or damaged
+     * @throws {Error} When the file can't be read in that format
+     */
+    read(text, options = {}) {
+        const format = options.format || this.detectFormat(text);
+        let source;
+        switch (format) {
+            case 'discogs':
+                source = this.readDiscogs(text);
+                break;
+            case 'itunes':
+                source = this.readITunes(text);
+                break;
+            case 'json':
+                source = this.readJSON(text);
+                break;
+            default:
+                throw new Error(`Unknown catalog format "${format}" (use discogs, itunes or json; ` +
+                    'DiggerDB.csv layouts load with parseCSV)');
+        }
+
+        const mapping = options.mapping || source.mapping || this.suggestMapping(source.items.map(({ item }) => item));
+        const defaults = options.defaults || {};
+        const headers = this.processor.schema
+            .map(definition => definition.field)
+            .filter(field => mapping[field] !== undefined || defaults[field] !== undefined);
+        const mappedKeys = new Set(Object.values(mapping).flat());
+
+        const rows = source.items.map(({ line, item }) => {
+            const fields = headers.map(field => {
+                const single = CatalogImporter.SINGLE_VALUE_FIELDS.includes(field);
+                const value = mapping[field] !== undefined ? this.getValue(item, mapping[field], single) : '';
+                return value !== '' ? value : this.toText(defaults[field], single);
+            });
+
+            // Unmapped plain values become custom fields
+            const custom = {};
+            Object.keys(item).forEach(key => {
+                if (mappedKeys.has(key) || (source.keep && !source.keep.includes(key))) return;
+                const value = item[key];
+                if (value !== null && typeof value !== 'object' && value !== '') {
+                    custom[key] = String(value);
+                }
+            });
+            return { line, fields, custom };
+        });
+
+        return { format, headers, rows, skipped: source.skipped, mapping };
+    }
+
+    /**
+     * Read a Discogs collection export ("Export collection" on discogs.com)
+     * The export has no covers or genres; supply them with options.defaults, or fix them
+     * in the validation report.
+     * @param {string} text - CSV text
+     * @returns {Object} { items, skipped, mapping } - items are { line, item } with item keyed by column
+     */
+    readDiscogs(text) {
+        const { rows, errors } = this.processor.tokenizeCSV(text);
+        const skipped = errors.map(({ line, reason }) => ({ line, reason }));
+        if (rows.length === 0) {
+            return { items: [], skipped, mapping: CatalogImporter.DISCOGS_MAPPING };
+        }
+
+        const headers = rows[0].fields.map(header => header.trim());
+        const items = [];
+        rows.slice(1).forEach(({ line, fields }) => {
+            if (fields.length === 1 && fields[0] === '') return;
+
+            const item = {};
+            headers.forEach((header, index) => {
+                item[header] = (fields[index] || '').trim();
+            });
+            // "Artist (2)" and "Artist*" are Discogs disambiguation and name-variation marks;
+            // only trailing ones, so names like "P*nk" keep their asterisk
+            item.Artist = (item.Artist || '').replace(/(\s*\(\d+\)|\*)+$/, '').trim();
+            if (item.CollectionFolder === 'Uncategorized') item.CollectionFolder = '';
+            if (item.Released === '0') item.Released = '';
+            items.push({ line, item });
+        });
+
+        return { items, skipped, mapping: CatalogImporter.DISCOGS_MAPPING };
+    }
+
+    /**
+     * Read an Apple Music / iTunes library ("Export Library…" XML)
+     * The playlists a track is in become its collections; video, podcasts and
+     * audiobooks are skipped.
+     * @param {string} text - Property list XML
+     * @returns {Object} { items, skipped, mapping, keep } - items are { line, item } with line
+     *   the track's position in the library
+     */
+    readITunes(text) {
+        const library = this.parsePlist(text);
+        if (!library || typeof library.Tracks !== 'object') {
+            throw new Error('Not an iTunes library: the property list has no Tracks');
+        }
+
+        const playlistsByTrack = new Map();
+        (library.Playlists || []).forEach(playlist => {
+            if (playlist.Master || playlist['Distinguished Kind'] !== undefined || playlist.Folder) return;
+            (playlist['Playlist Items'] || []).forEach(({ 'Track ID': trackId }) => {
+                if (!playlistsByTrack.has(trackId)) playlistsByTrack.set(trackId, []);
+                playlistsByTrack.get(trackId).push(playlist.Name);
+            });
+        });
+
+        const items = [];
+        const skipped = [];
+        Object.values(library.Tracks).forEach((track, index) => {
+            const line = index + 1;
+            const kind = CatalogImporter.ITUNES_SKIPPED_KINDS.find(key => track[key]);
+            if (kind) {
+                skipped.push({ line, reason: `${track.Name || 'Track'} is not music (${kind})` });
+                return;
+            }
+            items.push({
+                line,
+                item: { ...track, Playlists: playlistsByTrack.get(track['Track ID']) || [] }
+            });
+        });
+
+        return { items, skipped, mapping: CatalogImporter.ITUNES_MAPPING, keep: CatalogImporter.ITUNES_KEPT_KEYS };
+    }
+
+    /**
+     * Read a JSON array of entries (or an object holding one under records, items, data or releases)
+     * @param {string} text - JSON text
+     * @returns {Object} { items, skipped } - items are { line, item } with line the entry's
+     *   position in the array
+     */
+    readJSON(text) {
+        let data = JSON.parse(text);
+        if (!Array.isArray(data)) {
+            const key = CatalogImporter.JSON_ARRAY_KEYS.find(name => data && Array.isArray(data[name]));
+            if (!key) {
+                throw new Error(`Expected a JSON array of entries, or an object with one under ${CatalogImporter.JSON_ARRAY_KEYS.join(', ')}`);
+            }
+            data = data[key];
+        }
+
+        const items = [];
+        const skipped = [];
+        data.forEach((item, index) => {
+            if (item && typeof item === 'object' && !Array.isArray(item)) {
+                items.push({ line: index + 1, item });
+            } else {
+                skipped.push({ line: index + 1, reason: 'Entry is not an object' });
+            }
+        });
+        return { items, skipped };
+    }
+
+    /**
+     * Suggest which source keys fill which record fields, from their names
+     * Keys are matched against CatalogImporter.IMPORT_ALIASES, then the column schema's
+     * aliases; camelCase and snake_case keys are split into words first.
+     * @param {Array} items - Source entries (a sample is enough)
+     * @returns {Object} Record field -> source key
+     */
+    suggestMapping(items) {
+        const keys = [];
+        items.slice(0, CatalogImporter.SAMPLE_SIZE).forEach(item => {
+            this.getKeys(item).forEach(key => {
+                if (!keys.includes(key)) keys.push(key);
+            });
+        });
+
+        const lookup = new Map();
+        const addAlias = (alias, field) => {
+            const normalized = this.processor.normalizeHeader(alias);
+            if (!lookup.has(normalized)) lookup.set(normalized, field);
+        };
+        Object.entries(CatalogImporter.IMPORT_ALIASES).forEach(([field, aliases]) => {
+            aliases.forEach(alias => addAlias(alias, field));
+        });
+        this.processor.schema.forEach(definition => {
+            [definition.field, ...(definition.aliases || [])].forEach(alias => addAlias(alias, definition.field));
+        });
+
+        const mapping = {};
+        keys.forEach(key => {
+            const words = key.split('.').pop().replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+                .replace(/([a-zA-Z])([0-9])/g, '$1 $2');
+            const field = lookup.get(this.processor.normalizeHeader(words));
+            if (field && mapping[field] === undefined) {
+                mapping[field] = key;
+            }
+        });
+        return mapping;
+    }
+
+    /**
+     * List the keys of an entry, with dotted paths into nested objects
+     * @param {Object} item - Source entry
+     * @param {string} prefix - Path of the entry itself
+     * @returns {Array} Keys such as "title" or "basic_information.cover_image"
+     */
+    getKeys(item, prefix = '') {
+        const keys = [];
+        Object.keys(item).forEach(key => {
+            const path = prefix + key;
+            const value = item[key];
+            if (value && typeof value === 'object' && !Array.isArray(value) && !prefix) {
+                keys.push(...this.getKeys(value, `${path}.`));
+            } else {
+                keys.push(path);
+            }
+        });
+        return keys;
+    }
+
+    /**
+     * Read a mapped value from an entry as cell text
+     * @param {Object} item - Source entry
+     * @param {string|Array} path - Key or dotted path, or a list of them (first non-empty wins)
+     * @param {boolean} single - Keep only the first entry of a list
+     * @returns {string} Value ('' when there is none)
+     */
+    getValue(item, path, single = false) {
+        for (const candidate of [].concat(path)) {
+            const value = String(candidate).split('.').reduce(
+                (current, key) => (current && typeof current === 'object' ? current[key] : undefined), item);
+            const text = this.toText(value, single);
+            if (text !== '') return text;
+        }
+        return '';
+    }
+
+    /**
+     * Turn a source value into cell text
+     * Lists become comma-separated (or their first entry, for single-value fields); objects
+     * give their name, title or URI (e.g. Discogs API artists and images).
+     * @param {*} value - Source value
+     * @param {boolean} single - Keep only the first entry of a list
+     * @returns {string} Text
+     */
+    toText(value, single = false) {
+        if (value === null || value === undefined) return '';
+        if (Array.isArray(value)) {
+            const entries = value.map(entry => this.toText(entry)).filter(Boolean);
+            return single ? entries[0] || '' : entries.join(', ');
+        }
+        if (typeof value === 'object') {
+            const named = ['name', 'title', 'uri', 'url'].find(key => value[key] !== undefined);
+            return named ? this.toText(value[named]) : '';
+        }
+        return String(value).trim();
+    }
+
+    /**
+     * Parse an Apple property list (XML) into plain values
+     * dict becomes an object, array an array, integer and real numbers, true/false
+     * booleans; string, date and data stay text.
+     * @param {string} text - Property list XML
+     * @returns {*} Top-level value
+     * @throws {Error} When the XML is not a well-formed property list
+     */
+    parsePlist(text) {
+        const tokens = [];
+        const pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([A-Za-z]+)[^>]*?(\/?)>|([^<]+)/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (match[2]) {
+                tokens.push({ tag: match[2], closing: !!match[1], empty: !!match[3] });
+            } else if (match[4] !== undefined && match[4].trim() !== '') {
+                tokens.push({ text: match[4] });
+            }
+        }
+
+        let position = 0;
+        const fail = message => {
+            throw new Error(`Malformed property list: ${message}`);
+        };
+        const expectClose = tag => {
+            const token = tokens[position++];
+            if (!token || token.tag !== tag || !token.closing) fail(`expected </${tag}>`);
+        };
+        const readText = tag => {
+            let value = '';
+            if (tokens[position] && tokens[position].text !== undefined) {
+                value = this.decodeEntities(tokens[position++].text);
+            }
+            expectClose(tag);
+            return value;
+        };
+
+        const readValue = () => {
+            const token = tokens[position++];
+            if (!token || !token.tag || token.closing) fail('expected a value');
+            const { tag, empty } = token;
+
+            switch (tag) {
+                case 'plist': {
+                    const value = empty ? null : readValue();
+                    if (!empty) expectClose('plist');
+                    return value;
+                }
+                case 'dict': {
+                    const dict = {};
+                    if (empty) return dict;
+                    while (!(tokens[position] && tokens[position].tag === 'dict' && tokens[position].closing)) {
+                        const keyToken = tokens[position++];
+                        if (!keyToken || keyToken.tag !== 'key' || keyToken.closing) fail('expected <key> in <dict>');
+                        const key = keyToken.empty ? '' : readText('key');
+                        dict[key] = readValue();
+                    }
+                    position++;
+                    return dict;
+                }
+                case 'array': {
+                    const array = [];
+                    if (empty) return array;
+                    while (!(tokens[position] && tokens[position].tag === 'array' && tokens[position].closing)) {
+                        array.push(readValue());
+                    }
+                    position++;
+                    return array;
+                }
+                case 'true':
+                case 'false':
+                    if (!empty) expectClose(tag);
+                    return tag === 'true';
+                case 'integer':
+                case 'real':
+                    return empty ? 0 : Number(readText(tag).trim());
+                case 'string':
+                case 'date':
+                case 'data':
+                    return empty ? '' : readText(tag);
+                default:
+                    return fail(`unexpected <${tag}>`);
+            }
+        };
+
+        return readValue();
+    }
+
+    /**
+     * Decode XML character references and the predefined entities
+     * @param {string} text - XML text
+     * @returns {string} Decoded text
+     */
+    decodeEntities(text) {
+        const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+        return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-z]+);/g, (entity, name) => {
+            if (name[0] === '#') {
+                const code = name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                return String.fromCodePoint(code);
+            }
+            return named[name] !== undefined ? named[name] : entity;
+        });
+    }
+}
+
+/**
+ * Discogs collection export columns that identify the format (normalized)
+ */
+CatalogImporter.DISCOGS_SIGNATURE = ['catalog#', 'artist', 'title', 'label', 'release id'];
+
+/**
+ * Record fields from Discogs collection export columns (a release's title is its song title)
+ */
+CatalogImporter.DISCOGS_MAPPING = {
+    artist: 'Artist',
+    songTitle: 'Title',
+    collections: 'CollectionFolder',
+    releaseYear: 'Released'
+};
+
+/**
+ * Record fields from iTunes library track keys
+ */
+CatalogImporter.ITUNES_MAPPING = {
+    artist: ['Artist', 'Album Artist'],
+    songTitle: 'Name',
+    genre: 'Genre',
+    collections: 'Playlists',
+    releaseYear: 'Year'
+};
+
+/**
+ * Other iTunes track keys kept as custom fields (the rest are file and player details)
+ */
+CatalogImporter.ITUNES_KEPT_KEYS = ['Album', 'Album Artist', 'Composer', 'Play Count', 'Rating', 'Comments'];
+
+/**
+ * iTunes track flags that mark non-music entries
+ */
+CatalogImporter.ITUNES_SKIPPED_KINDS = ['Podcast', 'Movie', 'TV Show', 'Music Video', 'Audiobook', 'Has Video'];
+
+/**
+ * Keys an object-wrapped JSON array may sit under
+ */
+CatalogImporter.JSON_ARRAY_KEYS = ['records', 'items', 'data', 'releases', 'results', 'tracks'];
+
+/**
+ * Entries looked at when suggesting a JSON mapping
+ */
+CatalogImporter.SAMPLE_SIZE = 50;
+
+/**
+ * Source key names common in music JSON (streaming APIs, Discogs API, exports),
+ * matched before the column schema's aliases
+ */
+CatalogImporter.IMPORT_ALIASES = {
+    cover: ['cover image', 'artwork url', 'artwork url 100', 'thumb', 'thumbnail', 'image uri', 'album art'],
+    songTitle: ['name', 'track name', 'song name'],
+    artist: ['artists', 'artist names', 'album artist'],
+    genre: ['genres', 'primary genre name', 'style', 'styles'],
+    releaseYear: ['year', 'release date', 'released', 'date'],
+    collections: ['playlists', 'folder', 'collection folder']
+};
+
+/**
+ * Record fields that take one value; a list in the source gives its first entry
+ */
+CatalogImporter.SINGLE_VALUE_FIELDS = ['cover', 'genre', 'artisticCategory', 'releaseYear', 'decade'];
+
+// Export for use in other modules
+window.CatalogImporter = CatalogImporter;
@@ -0,0 +1,382 @@
+/**
+ * Color vocabulary for DIGGGIN record database
+ * Maps free-text color phrases ("cool tone", "black and white", "pastel pink")
+ * to canonical swatches with hex/HSL values, and reads temperature ("warm
+ * tones") and tone ("vibrant", "dark") descriptors, so every record gets a
+ * palette that can be filtered, sorted and rendered.
+ */
+
+class ColorVocabulary {
+    /**
+     * @param {Object} definition - Vocabulary definition (defaults to ColorVocabulary.DEFAULT_DEFINITION)
+     */
+    constructor(definition = ColorVocabulary.DEFAULT_DEFINITION) {
+        this.swatches = new Map();     // canonical name -> swatch
+        this.swatchAliases = new Map(); // alias -> canonical name
+        this.descriptors = new Map();   // phrase -> { temperature } or { tone }
+        this.modifiers = new Map();     // "pale" -> 'light', "deep" -> 'dark'
+
+        (definition.swatches || []).forEach(entry => this.addSwatch(entry));
+        (definition.descriptors || []).forEach(entry => {
+            entry.phrases.forEach(phrase => this.descriptors.set(phrase, { temperature: entry.temperature, tone: entry.tone }));
+        });
+        Object.entries(definition.modifiers || {}).forEach(([modifier, words]) => {
+            words.forEach(word => this.modifiers.set(word, modifier));
+        });
+
+        // Shades made by getSwatch are left out of nearest-color matching
+        this.namedSwatches = Array.from(this.swatches.values());
+    }
+
+    /**
+     * Register a swatch and its aliases
+     * @param {Object} entry - { name, hex, family, temperature, aliases }
+     * @returns {Object} Swatch as { name, hex, hsl, family, temperature, tone }
+     */
+    addSwatch(entry) {
+        const hsl = this.hexToHSL(entry.hex);
+        const swatch = {
+            name: entry.name,
+            hex: entry.hex,
+            hsl,
+            family: entry.family || entry.name,
+            temperature: entry.temperature || this.getTemperature(hsl),
+            tone: this.getTone(hsl)
+        };
+
+        this.swatches.set(entry.name, swatch);
+        [entry.name, ...(entry.aliases || [])].forEach(alias => this.swatchAliases.set(alias, entry.name));
+        return swatch;
+    }
+
+    /**
+     * Convert "#rrggbb" to HSL
+     * @param {string} hex - Hex color
+     * @returns {Object} { h: 0-360, s: 0-1, l: 0-1 }
+     */
+    hexToHSL(hex) {
+        const [r, g, b] = this.hexToRGB(hex).map(channel => channel / 255);
+
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const l = (max + min) / 2;
+        const d = max - min;
+        if (d === 0) return { h: 0, s: 0, l };
+
+        const s = d / (1 - Math.abs(2 * l - 1));
+        let h;
+        if (max === r) h = ((g - b) / d) % 6;
+        else if (max === g) h = (b - r) / d + 2;
+        else h = (r - g) / d + 4;
+
+        return { h: Math.round((h * 60 + 360) % 360), s, l };
+    }
+
+    /**
+     * Convert "#rrggbb" to RGB
+     * @param {string} hex - Hex color
+     * @returns {Array} [r, g, b], 0-255
+     */
+    hexToRGB(hex) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return [value >> 16 & 255, value >> 8 & 255, value & 255];
+    }
+
+    /**
+     * Convert RGB to "#rrggbb"
+     * @param {Array} rgb - [r, g, b], 0-255
+     * @returns {string} Hex color
+     */
+    rgbToHex(rgb) {
+        return `#${rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+    }
+
+    /**
+     * Perceptual distance between two colors ("redmean" weighted RGB)
+     * @param {Array} a - [r, g, b], 0-255
+     * @param {Array} b - [r, g, b], 0-255
+     * @returns {number} Distance (0 to about 765)
+     */
+    getDistance(a, b) {
+        const mean = (a[0] + b[0]) / 2;
+        return Math.sqrt((2 + mean / 256) * (a[0] - b[0]) ** 2 + 4 * (a[1] - b[1]) ** 2 +
+            (2 + (255 - mean) / 256) * (a[2] - b[2]) ** 2);
+    }
+
+    /**
+     * Find the named swatch closest to a color
+     * @param {string} hex - Hex color
+     * @returns {Object} Swatch
+     */
+    nearestSwatch(hex) {
+        const rgb = this.hexToRGB(hex);
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        this.namedSwatches.forEach(swatch => {
+            const distance = this.getDistance(rgb, this.hexToRGB(swatch.hex));
+            if (distance < nearestDistance) {
+                nearest = swatch;
+                nearestDistance = distance;
+            }
+        });
+
+        return nearest;
+    }
+
+    /**
+     * Convert HSL to "#rrggbb"
+     * @param {Object} hsl - { h, s, l }
+     * @returns {string} Hex color
+     */
+    hslToHex({ h, s, l }) {
+        const a = s * Math.min(l, 1 - l);
+        const channel = n => {
+            const k = (n + h / 30) % 12;
+            const value = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+            return Math.round(value * 255).toString(16).padStart(2, '0');
+        };
+        return `#${channel(0)}${channel(8)}${channel(4)}`;
+    }
+
+    /**
+     * Warm (reds to yellows), cool (greens to violets) or neutral (greys)
+     * @param {Object} hsl - { h, s, l }
+     * @returns {string} 'warm', 'cool' or 'neutral'
+     */
+    getTemperature({ h, s }) {
+        if (s < ColorVocabulary.NEUTRAL_SATURATION) return 'neutral';
+        return h < 75 || h >= 330 ? 'warm' : 'cool';
+    }
+
+    /**
+     * Classify a color's tone
+     * @param {Object} hsl - { h, s, l }
+     * @returns {string} 'light', 'dark', 'muted' or 'vibrant'
+     */
+    getTone({ s, l }) {
+        if (l >= 0.7) return 'light';
+        if (l <= 0.25) return 'dark';
+        return s < 0.35 ? 'muted' : 'vibrant';
+    }
+
+    /**
+     * Get a swatch by name or alias, including modified shades ("pastel pink" → light pink)
+     * @param {string} phrase - Lowercase color phrase
+     * @returns {Object|null} Swatch
+     */
+    getSwatch(phrase) {
+        const name = this.swatchAliases.get(phrase);
+        if (name) return this.swatches.get(name);
+
+        const [modifier, ...rest] = phrase.split(' ');
+        const baseName = this.modifiers.has(modifier) && this.swatchAliases.get(rest.join(' '));
+        if (!baseName) return null;
+
+        // Shade of a known swatch; registered so later lookups (and its own name) resolve directly
+        const base = this.swatches.get(baseName);
+        const shade = this.modifiers.get(modifier);
+        const l = shade === 'light' ? base.hsl.l + (1 - base.hsl.l) * 0.45 : base.hsl.l * 0.55;
+        const swatch = this.addSwatch({
+            name: `${shade} ${base.name}`,
+            hex: this.hslToHex({ ...base.hsl, l }),
+            family: base.family,
+            temperature: base.temperature
+        });
+        this.swatchAliases.set(phrase, swatch.name);
+        return swatch;
+    }
+
+    /**
+     * Read a color cell (or a record's color list) into a palette
+     * Parts are split on commas, semicolons, slashes, brackets, "and" and "with";
+     * within a part the longest known phrase wins ("dark blue" before "dark").
+     * @param {string|Array} input - Raw color text or list of phrases
+     * @returns {Object} { colors, palette, temperature, tones, unknown } - colors are
+     *   canonical swatch names, palette the matching swatches, temperature 'warm',
+     *   'cool', 'mixed', 'neutral' or '' (no color information), tones the tone
+     *   descriptors used and unknown the words that matched nothing
+     */
+    parse(input) {
+        const text = (Array.isArray(input) ? input.filter(Boolean).join(', ') : input || '').toLowerCase();
+        const palette = [];
+        const temperatures = new Set();
+        const tones = [];
+        const unknown = [];
+
+        text.split(/[,;\/()&+]|\band\b|\bwith\b/).forEach(part => {
+            const words = part.trim().split(/\s+/).filter(Boolean);
+
+            for (let i = 0; i < words.length;) {
+                const match = this.matchPhrase(words, i);
+                if (!match) {
+                    if (!ColorVocabulary.FILLER_WORDS.includes(words[i]) && !unknown.includes(words[i])) {
+                        unknown.push(words[i]);
+                    }
+                    i++;
+                    continue;
+                }
+
+                if (match.swatch && !palette.includes(match.swatch)) palette.push(match.swatch);
+                if (match.temperature) temperatures.add(match.temperature);
+                if (match.tone && !tones.includes(match.tone)) tones.push(match.tone);
+                i += match.length;
+            }
+        });
+
+        return {
+            colors: palette.map(swatch => swatch.name),
+            palette,
+            temperature: this.resolveTemperature(temperatures, palette),
+            tones,
+            unknown
+        };
+    }
+
+    /**
+     * Match the longest swatch or descriptor phrase starting at a word
+     * @param {Array} words - Words of one part
+     * @param {number} start - Index of the first word
+     * @returns {Object|null} { length, swatch } or { length, temperature, tone }
+     */
+    matchPhrase(words, start) {
+        for (let length = Math.min(ColorVocabulary.MAX_PHRASE_WORDS, words.length - start); length > 0; length--) {
+            const phrase = words.slice(start, start + length).join(' ');
+            const swatch = this.getSwatch(phrase);
+            if (swatch) return { length, swatch };
+
+            const descriptor = this.descriptors.get(phrase);
+            if (descriptor) return { length, ...descriptor };
+        }
+        return null;
+    }
+
+    /**
+     * Overall temperature: named temperatures win, otherwise the swatches vote
+     * @param {Set} temperatures - Temperatures named in the text
+     * @param {Array} palette - Swatches
+     * @returns {string} 'warm', 'cool', 'mixed', 'neutral' or ''
+     */
+    resolveTemperature(temperatures, palette) {
+        if (temperatures.has('mixed') || (temperatures.has('warm') && temperatures.has('cool'))) return 'mixed';
+        if (temperatures.has('warm')) return 'warm';
+        if (temperatures.has('cool')) return 'cool';
+
+        const warm = palette.filter(swatch => swatch.temperature === 'warm').length;
+        const cool = palette.filter(swatch => swatch.temperature === 'cool').length;
+        if (warm > cool) return 'warm';
+        if (cool > warm) return 'cool';
+        if (warm > 0) return 'mixed';
+        return temperatures.has('neutral') || palette.length > 0 ? 'neutral' : '';
+    }
+
+    /**
+     * Main color of a palette: the first chromatic swatch's family
+     * @param {Array} colors - Canonical swatch names (first is the most prominent)
+     * @returns {string} Color family ('neutral' when there is none)
+     */
+    getPrimaryColor(colors) {
+        const palette = (colors || []).map(name => this.getSwatch(name)).filter(Boolean);
+        const primary = palette.find(swatch => swatch.temperature !== 'neutral') || palette[0];
+        return primary ? primary.family : 'neutral';
+    }
+
+    /**
+     * Color families a palette belongs to ("light blue" and "teal" are both blue)
+     * @param {Array} colors - Canonical swatch names
+     * @returns {Array} Swatch names followed by any families not already listed
+     */
+    getFamilies(colors) {
+        const values = [...(colors || [])];
+        values.forEach(name => {
+            const swatch = this.getSwatch(name);
+            if (swatch && !values.includes(swatch.family)) values.push(swatch.family);
+        });
+        return values;
+    }
+
+    /**
+     * Position of a color on the color wheel, for sorting
+     * Chromatic colors run by hue from red, then greys from white to black.
+     * @param {string} name - Canonical swatch name
+     * @returns {number} Sort key (Infinity for unknown colors)
+     */
+    getSortKey(name) {
+        const swatch = name ? this.getSwatch(name) : null;
+        if (!swatch) return Infinity;
+
+        const { h, s, l } = swatch.hsl;
+        return s < ColorVocabulary.NEUTRAL_SATURATION ? 360 + (1 - l) : h + l / 2;
+    }
+}
+
+/**
+ * Below this saturation a color counts as grey
+ */
+ColorVocabulary.NEUTRAL_SATURATION = 0.2;
+
+/**
+ * Longest phrase matched as one color ("light salmon pink")
+ */
+ColorVocabulary.MAX_PHRASE_WORDS = 3;
+
+/**
+ * Words that carry no color information ("vibrant shades of green", "with black background")
+ */
+ColorVocabulary.FILLER_WORDS = ['shades', 'shade', 'of', 'background', 'tones', 'tone', 'toned', 'hues', 'accents', 'mostly'];
+
+/**
+ * Default vocabulary, built from the phrases used in DiggerDB.csv
+ */
+ColorVocabulary.DEFAULT_DEFINITION = {
+    swatches: [
+        { name: 'red', hex: '#d32f2f', aliases: ['reddish', 'crimson', 'scarlet'] },
+        { name: 'rust', hex: '#b7410e', family: 'orange' },
+        { name: 'orange', hex: '#f57c00', aliases: ['orangey'] },
+        { name: 'peach', hex: '#ffb38a', family: 'orange' },
+        { name: 'yellow', hex: '#fbc02d', aliases: ['yellowish'] },
+        { name: 'mustard', hex: '#d4a72c', family: 'yellow', aliases: ['mustard yellow'] },
+        { name: 'gold', hex: '#d4a017', family: 'yellow', aliases: ['golden'] },
+        { name: 'ochre', hex: '#cc7722', family: 'yellow' },
+        { name: 'green', hex: '#388e3c', aliases: ['greenish'] },
+        { name: 'teal', hex: '#00897b', family: 'blue', aliases: ['blue-green'] },
+        { name: 'turquoise', hex: '#40c4c4', family: 'blue', aliases: ['turquoise blue', 'aqua', 'cyan'] },
+        { name: 'blue', hex: '#1e63c8', aliases: ['bluish'] },
+        { name: 'navy', hex: '#0d2c6b', family: 'blue', aliases: ['navy blue'] },
+        { name: 'gray-blue', hex: '#6b7f99', family: 'blue', aliases: ['grey-blue'] },
+        { name: 'indigo', hex: '#3f2a8c', family: 'purple' },
+        { name: 'purple', hex: '#7b1fa2', aliases: ['violet'] },
+        { name: 'lilac', hex: '#c8a2c8', family: 'purple', aliases: ['lavender'] },
+        { name: 'magenta', hex: '#d81b8c', family: 'pink', aliases: ['fuchsia'] },
+        { name: 'pink', hex: '#f06292', aliases: ['pinkish'] },
+        { name: 'salmon', hex: '#fa8072', family: 'pink', aliases: ['salmon pink'] },
+        { name: 'rose gold', hex: '#b76e79', family: 'pink' },
+        { name: 'brown', hex: '#795548', temperature: 'warm' },
+        { name: 'golden-brown', hex: '#996515', family: 'brown', aliases: ['golden brown'] },
+        { name: 'sepia', hex: '#704214', family: 'brown' },
+        { name: 'tan', hex: '#d2b48c', family: 'brown', temperature: 'warm' },
+        { name: 'beige', hex: '#d9c8a9', family: 'brown' },
+        { name: 'black', hex: '#111111' },
+        { name: 'gray', hex: '#8a8a8a', aliases: ['grey', 'grey-toned', 'gray-toned', 'greyish', 'grayish'] },
+        { name: 'silver', hex: '#c0c0c0', family: 'gray' },
+        { name: 'white', hex: '#f5f5f5' }
+    ],
+    descriptors: [
+        { temperature: 'warm', phrases: ['warm', 'warm tone', 'warm tones', 'warm toned'] },
+        { temperature: 'cool', phrases: ['cool', 'cool tone', 'cool tones', 'cool toned', 'cold'] },
+        { temperature: 'neutral', phrases: ['neutral', 'neutral tone', 'neutral tones', 'neutrals'] },
+        { temperature: 'mixed', phrases: ['mixed'] },
+        { tone: 'vibrant', phrases: ['vibrant', 'colorful', 'colourful', 'bright', 'dynamic', 'vivid', 'saturated'] },
+        { tone: 'dark', phrases: ['dark', 'dark tone', 'dark tones', 'moody'] },
+        { tone: 'light', phrases: ['light', 'pastel', 'pale', 'soft'] },
+        { tone: 'muted', phrases: ['muted', 'subdued', 'desaturated', 'faded'] }
+    ],
+    // Words that shade a swatch when they come right before it
+    modifiers: {
+        light: ['light', 'pale', 'pastel', 'soft'],
+        dark: ['dark', 'deep']
+    }
+};
+
+// Export for use in other modules
+window.ColorVocabulary = ColorVocabulary;
@@ -0,0 +1,225 @@
+/**
+ * Compact records.json encoding for DIGGGIN record database
+ * Repeated strings (genres, artists, moods, colors, tones, collections, cover folders)
+ * are stored once in tables and records become columns of table indexes.
+ * Fields the app can derive again (search terms, tags, palettes...) are left
+ * out and rebuilt when the records are loaded (see DataProcessor.addDerivedFields).
+ *
+ *   { version, format: 'compact', metadata, filterOptions, statistics,
+ *     count, tables: { field: [values] }, columns: { field: [cells] }, extras: { row: { field: value } } }
+ */
+
+class CompactDataset {
+    /**
+     * @param {Object} fields - How each column is stored (defaults to CompactDataset.FIELDS)
+     */
+    constructor(fields = CompactDataset.FIELDS) {
+        this.fields = fields;
+    }
+
+    /**
+     * Check whether a parsed document is in the compact format
+     * @param {*} document - Parsed JSON
+     * @returns {boolean} Document is compact
+     */
+    isCompact(document) {
+        return !!document && document.format === 'compact';
+    }
+
+    /**
+     * Encode a converted document
+     * Record fields outside CompactDataset.FIELDS and CompactDataset.DERIVED_FIELDS
+     * (custom columns, cover palettes, merge history...) are kept per row in extras.
+     * @param {Object} document - Document with a records array (see DataConverter.convertData)
+     * @returns {Object} Compact document
+     */
+    encode(document) {
+        const { records = [], ...rest } = document;
+        const tables = {};
+        const lookups = {}; // field -> Map(value -> table index)
+        const columns = {};
+        const extras = {};
+
+        const intern = (field, value) => {
+            if (!lookups[field]) {
+                lookups[field] = new Map();
+                tables[field] = [];
+            }
+            if (!lookups[field].has(value)) {
+                lookups[field].set(value, tables[field].length);
+                tables[field].push(value);
+            }
+            return lookups[field].get(value);
+        };
+
+        Object.keys(this.fields).forEach(field => { columns[field] = []; });
+
+        records.forEach((record, row) => {
+            Object.entries(this.fields).forEach(([field, kind]) => {
+                columns[field].push(this.encodeValue(kind, record[field], value => intern(field, value)));
+            });
+
+            const extra = {};
+            Object.keys(record).forEach(key => {
+                if (!(key in this.fields) && !CompactDataset.DERIVED_FIELDS.includes(key)) {
+                    extra[key] = record[key];
+                }
+            });
+            if (Object.keys(extra).length > 0) {
+                extras[row] = extra;
+            }
+        });
+
+        // Columns without any values (e.g. release years in a catalog that has none) are left out
+        Object.keys(columns).forEach(field => {
+            if (columns[field].every(cell => cell === null)) delete columns[field];
+        });
+
+        return { version: rest.version, format: 'compact', ...rest, count: records.length, tables, columns, extras };
+    }
+
+    /**
+     * Encode one cell
+     * @param {string} kind - 'value', 'string', 'strings' or 'url' (see CompactDataset.FIELDS)
+     * @param {*} value - Record value
+     * @param {Function} intern - Returns the table index of a string
+     * @returns {*} Cell (null when the record has no value)
+     */
+    encodeValue(kind, value, intern) {
+        if (value === undefined || value === null) return null;
+
+        switch (kind) {
+            case 'string':
+                return intern(value);
+            case 'strings':
+                return value.map(intern);
+            case 'url': {
+                // Covers mostly share a few folders; the folder goes in the table
+                const slash = value.lastIndexOf('/') + 1;
+                return [intern(value.slice(0, slash)), value.slice(slash)];
+            }
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Decode a compact document
+     * Derived fields are not restored here; loading the records rebuilds them. Columns
+     * added in later versions are simply absent from older files.
+     * @param {Object} document - Compact document
+     * @returns {Object} Document with a records array (and no compact fields)
+     * @throws {Error} When the tables or columns don't add up
+     */
+    decode(document) {
+        const { format, count, tables, columns, extras = {}, ...rest } = document;
+        this.checkLayout(document);
+
+        const records = [];
+        for (let row = 0; row < count; row++) {
+            const record = {};
+            Object.entries(this.fields).forEach(([field, kind]) => {
+                if (!columns[field]) return;
+                const value = this.decodeValue(kind, columns[field][row], tables[field] || []);
+                if (value !== undefined) {
+                    record[field] = value;
+                }
+            });
+            records.push(Object.assign(record, extras[row]));
+        }
+
+        return { ...rest, records };
+    }
+
+    /**
+     * Decode one cell
+     * @param {string} kind - Column kind
+     * @param {*} cell - Encoded cell
+     * @param {Array} table - The column's string table
+     * @returns {*} Record value, undefined when the record had none
+     */
+    decodeValue(kind, cell, table) {
+        if (cell === null || cell === undefined) return undefined;
+
+        switch (kind) {
+            case 'string':
+                return table[cell];
+            case 'strings':
+                return cell.map(index => table[index]);
+            case 'url':
+                return table[cell[0]] + cell[1];
+            default:
+                return cell;
+        }
+    }
+
+    /**
+     * Check that every column has a cell per record and every index is in its table
+     * @param {Object} document - Compact document
+     * @throws {Error} Describing the first problem found
+     */
+    checkLayout(document) {
+        const { count, tables, columns } = document;
+        const fail = message => {
+            throw new Error(`Malformed compact dataset: ${message}`);
+        };
+
+        if (!Number.isInteger(count) || count < 0) fail('count must be a whole number');
+        if (!tables || typeof tables !== 'object') fail('tables is missing');
+        if (!columns || typeof columns !== 'object') fail('columns is missing');
+
+        Object.entries(this.fields).forEach(([field, kind]) => {
+            const column = columns[field];
+            if (column === undefined) return; // Missing fields are reported by record validation
+            if (!Array.isArray(column) || column.length !== count) {
+                fail(`columns.${field} must have ${count} cells`);
+            }
+            if (kind === 'value') return;
+
+            const size = (tables[field] || []).length;
+            const inTable = index => Number.isInteger(index) && index >= 0 && index < size;
+            column.forEach((cell, row) => {
+                if (cell === null) return;
+                const indexes = kind === 'strings' ? cell : kind === 'url' ? [cell[0]] : [cell];
+                if (!Array.isArray(indexes) || !indexes.every(inTable)) {
+                    fail(`columns.${field}[${row}] points outside tables.${field}`);
+                }
+            });
+        });
+    }
+}
+
+/**
+ * Columns and how they are stored
+ * value: as is; string: table index; strings: list of table indexes;
+ * url: [table index of the folder, file name]
+ */
+CompactDataset.FIELDS = {
+    id: 'value',
+    cover: 'url',
+    artworkName: 'value',
+    genre: 'string',
+    artist: 'string',
+    songTitle: 'value',
+    artisticCategory: 'string',
+    moods: 'strings',
+    colors: 'strings',
+    colorTemperature: 'string',
+    colorTones: 'strings',
+    collections: 'strings',
+    genreIndex: 'value',
+    moodIndex: 'value',
+    releaseYear: 'value',
+    decade: 'value',
+    addedAt: 'string'
+};
+
+/**
+ * Record fields rebuilt on load instead of stored
+ */
+CompactDataset.DERIVED_FIELDS = [
+    'mood', 'palette', 'searchTerms', 'displayTitle', 'primaryColor', 'tags'
+];
+
+// Export for use in other modules
+window.CompactDataset = CompactDataset;
@@ -33,12 +33,17 @@ class ControlsManager {
         // Define keyboard shortcuts
         this.shortcuts.set('Escape', () => this.clearSelection());
         this.shortcuts.set('r', () => this.randomizeView());
+        this.shortcuts.set('s', () => this.reshuffle());
+        this.shortcuts.set('n', () => this.nextPage());
+        this.shortcuts.set('p', () => this.previousPage());
+        this.shortcuts.set('PageDown', () => this.nextPage());
+        this.shortcuts.set('PageUp', () => this.previousPage());
         this.shortcuts.set('f', () => this.focusSearch());
         this.shortcuts.set('c', () => this.clearFilters());
-        this.shortcuts.set('1', () => this.filterByGenre('Psychedelic'));
-        this.shortcuts.set('2', () => this.filterByGenre('Indie'));
-        this.shortcuts.set('3', () => this.filterByGenre('Alternative Rock'));
-        this.shortcuts.set('4', () => this.filterByGenre('Hip Hop'));
+        // 1-9 pick top-level genres by genreIndex, so each digit keeps its genre across catalog updates
+        for (let digit = 1; digit <= ControlsManager.GENRE_SHORTCUTS; digit++) {
+            this.shortcuts.set(String(digit), () => this.filterByGenreIndex(digit - 1));
+        }
         
         // Add keyboard event listener
         document.addEventListener('keydown', (event) => {
@@ -338,7 +343,7 @@ class ControlsManager {
             const helpText = document.createElement('div');
             helpText.id = 'search-help';
             helpText.className = 'sr-only';
-            helpText.textContent = 'Search records by artist, song, genre, or keyword';
+            helpText.textContent = 'Search records by keyword, or use fields such as artist:, title:, genre:, mood:, color:, collection: and year: (1972, 1970-1979 or 1970s). Combine with OR, exclude with a leading minus';
             searchInput.parentNode.appendChild(helpText);
         }
     }
@@ -447,6 +452,38 @@ class ControlsManager {
         this.announceToScreenReader('Showing random selection of records');
     }
 
+    /**
+     * Reshuffle the current results with a new seed
+     */
+    reshuffle() {
+        this.recordManager.reshuffle();
+        this.announceToScreenReader('Records reshuffled');
+    }
+
+    /**
+     * Show the next crates of results
+     */
+    async nextPage() {
+        if (await this.recordManager.nextPage()) {
+            const { start, end, total } = this.recordManager.getPageInfo();
+            this.announceToScreenReader(`Showing ${start} to ${end} of ${total} records`);
+        } else {
+            this.announceToScreenReader('Already showing the last crates');
+        }
+    }
+
+    /**
+     * Show the previous crates of results
+     */
+    async previousPage() {
+        if (await this.recordManager.previousPage()) {
+            const { start, end, total } = this.recordManager.getPageInfo();
+            this.announceToScreenReader(`Showing ${start} to ${end} of ${total} records`);
+        } else {
+            this.announceToScreenReader('Already showing the first crates');
+        }
+    }
+
     /**
      * Focus on search input
      */
@@ -474,10 +511,29 @@ class ControlsManager {
         this.announceToScreenReader(`Filtered to ${genre} genre`);
     }
 
+    /**
+     * Filter by the top-level genre at a genreIndex
+     * @param {number} index - Genre index (see RecordManager.getIndexOrder)
+     */
+    filterByGenreIndex(index) {
+        const genre = this.recordManager.getIndexOrder().genres[index];
+        if (genre) {
+            this.filterByGenre(genre);
+        }
+    }
+
     /**
      * Show help modal
      */
     showHelpModal() {
+        const genreShortcuts = this.recordManager.getIndexOrder().genres
+            .slice(0, ControlsManager.GENRE_SHORTCUTS)
+            .map((genre, index) => `
+                    <li class="shortcut-item">
+                        <span>${genre} genre</span>
+                        <span class="shortcut-key">${index + 1}</span>
+                    </li>`)
+            .join('');
         const modal = document.createElement('div');
         modal.className = 'help-modal';
         modal.innerHTML = `
@@ -497,29 +553,22 @@ class ControlsManager {
                         <span class="shortcut-key">R</span>
                     </li>
                     <li class="shortcut-item">
-                        <span>Clear filters</span>
-                        <span class="shortcut-key">C</span>
-                    </li>
-                    <li class="shortcut-item">
-                        <span>Clear selection</span>
-                        <span class="shortcut-key">Esc</span>
+                        <span>Reshuffle crates</span>
+                        <span class="shortcut-key">S</span>
                     </li>
                     <li class="shortcut-item">
-                        <span>Psychedelic genre</span>
-                        <span class="shortcut-key">1</span>
+                        <span>Next / previous crates</span>
+                        <span class="shortcut-key">N / P</span>
                     </li>
                     <li class="shortcut-item">
-                        <span>Indie genre</span>
-                        <span class="shortcut-key">2</span>
-                    </li>
-                    <li class="shortcut-item">
-                        <span>Alt Rock genre</span>
-                        <span class="shortcut-key">3</span>
+                        <span>Clear filters</span>
+                        <span class="shortcut-key">C</span>
                     </li>
                     <li class="shortcut-item">
-                        <span>Hip Hop genre</span>
-                        <span class="shortcut-key">4</span>
+                        <span>Clear selection</span>
+                        <span class="shortcut-key">Esc</span>
                     </li>
+                    ${genreShortcuts}
                 </ul>
                 <button class="close-btn" onclick="this.closest('.help-modal').remove()">
                     Close
@@ -559,5 +608,10 @@ class ControlsManager {
     }
 }
 
+/**
+ * Number keys that pick a top-level genre (1 to this)
+ */
+ControlsManager.GENRE_SHORTCUTS = 9;
+
 // Export for use in other modules
 window.ControlsManager = ControlsManager;
\ No newline at end of file
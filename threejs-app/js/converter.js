@@ -6,32 +6,124 @@
 class DataConverter {
     constructor() {
         this.processor = new DataProcessor();
+        this.duplicateDetector = new DuplicateDetector();
+        this.paletteExtractor = new PaletteExtractor({ vocabulary: this.processor.colorVocabulary });
+        this.compactDataset = new CompactDataset();
+        this.datasetDiff = new DatasetDiff();
+        this.diff = null; // Changes since the previous dataset (see DatasetDiff.compare)
+        this.imports = []; // Catalogs added to the last conversion (see importCatalogs)
+        this.sourceSize = 0; // Bytes of the converted CSV
+        // Version first, so streaming readers know it before the records arrive
         this.outputData = {
+            version: DatasetSchema.VERSION,
+            generatedAt: new Date().toISOString(),
             metadata: {},
             records: [],
             filterOptions: {},
-            statistics: {},
-            version: '1.0.0',
-            generatedAt: new Date().toISOString()
+            statistics: {}
         };
     }
 
+    /**
+     * Find likely duplicate records for review before converting
+     * Imported catalogs are included, so copies of catalog records in a personal
+     * collection can be merged into them.
+     * @param {string} csvData - Raw CSV data
+     * @param {Object} options - { imports } - see convertData
+     * @returns {Array} Duplicate groups (see DuplicateDetector.findGroups)
+     */
+    findDuplicates(csvData, options = {}) {
+        const processor = new DataProcessor();
+        processor.parseCSV(csvData);
+        this.importCatalogs(processor, options.imports);
+        const records = processor.records;
+        const groups = this.duplicateDetector.findGroups(records);
+        console.log(`✓ Found ${groups.length} possible duplicate groups`);
+        return groups;
+    }
+
+    /**
+     * Add other catalogs (Discogs, iTunes, JSON) to a processor's records
+     * @param {DataProcessor} processor - Processor holding the parsed catalog
+     * @param {Array} imports - { name, text, format, mapping, defaults } per catalog
+     * @returns {Array} { name, format, records, skipped } per catalog - counts, for the metadata
+     */
+    importCatalogs(processor, imports = []) {
+        return (imports || []).map(({ name, text, ...options }) => {
+            const { format, records, skipped } = processor.importCatalog(text, options);
+            console.log(`✓ Imported ${records.length} records from ${name || format}` +
+                (skipped.length > 0 ? ` (${skipped.length} entries skipped)` : ''));
+            return { name: name || null, format, records: records.length, skipped: skipped.length };
+        });
+    }
+
     /**
      * Convert CSV data to optimized JSON format
      * @param {string} csvData - Raw CSV data
+     * @param {Object} options - Conversion options
+     * @param {Array} options.imports - Other catalogs to add, as { name, text, format, mapping, defaults }
+     *   (see CatalogImporter.read); pass the same imports to findDuplicates
+     * @param {Array} options.mergeGroups - Reviewed duplicate groups to merge (from findDuplicates)
+     * @param {boolean} options.analyzeCovers - Extract palettes from the cover images (see analyzeCoverColors)
+     * @param {Function} options.onCoverProgress - Called with (analyzed, total) while covers are analyzed
+     * @param {Object} options.previous - The parsed records.json being replaced: changes since it
+     *   go in metadata.changelog, records keep their addedAt and genreIndex/moodIndex their meaning
+     * @param {Object} options.previousOrder - metadata.indexOrder of the dataset being replaced, so
+     *   genreIndex and moodIndex keep their meaning (see DataProcessor.getIndexOrder); read from
+     *   options.previous when not given
      * @returns {Object} Converted data
      */
-    async convertData(csvData) {
+    async convertData(csvData, options = {}) {
         console.log('🔄 Starting data conversion...');
+        this.sourceSize = this.getByteLength(csvData);
         
         // Parse CSV data
-        const records = this.processor.parseCSV(csvData);
+        let records = this.processor.parseCSV(csvData);
         console.log(`✓ Parsed ${records.length} records`);
 
+        // Personal collections join the catalog before duplicates are merged
+        this.imports = this.importCatalogs(this.processor, options.imports);
+        records = this.processor.records;
+
+        // Merge accepted duplicates; filter options and stats then reflect the merged set.
+        // Merged records are normalized again so their palettes follow the unioned colors.
+        const mergeGroups = options.mergeGroups || [];
+        const parsedCount = records.length;
+        if (mergeGroups.length > 0) {
+            records = this.processor.setRecords(this.duplicateDetector.applyMerges(records, mergeGroups));
+            console.log(`✓ Merged ${mergeGroups.length} duplicate groups (${parsedCount - records.length} records removed)`);
+        }
+
+        // Cover palettes fill in untagged colors, so they run before filter options are built
+        let coverColors = null;
+        if (options.analyzeCovers) {
+            coverColors = await this.analyzeCoverColors(records, options.onCoverProgress);
+            if (coverColors.filled > 0) {
+                records = this.processor.setRecords(records);
+            }
+            console.log(`✓ Analyzed ${coverColors.analyzed} covers (${coverColors.filled} palettes filled in, ` +
+                `${coverColors.mismatched.length} disagree with their tags, ${coverColors.failed} failed)`);
+        }
+
         // Process and optimize records
         this.outputData.records = this.optimizeRecords(records);
         console.log(`✓ Optimized ${this.outputData.records.length} records`);
 
+        // Changes since the dataset being replaced; records keep the date they first appeared
+        const previous = options.previous ? this.readPrevious(options.previous) : null;
+        if (previous) {
+            this.diff = this.datasetDiff.compare(previous.records, this.outputData.records);
+            this.datasetDiff.stampArrivals(this.diff, this.outputData.generatedAt);
+            console.log(`✓ Compared with the previous dataset: ${this.diff.added.length} added, ` +
+                `${this.diff.removed.length} removed, ${this.diff.modified.length} modified`);
+        }
+
+        // Grouping hints for 3D positioning, numbered the same way as the previous dataset
+        const previousOrder = options.previousOrder || (previous && previous.metadata && previous.metadata.indexOrder);
+        this.indexOrder = this.processor.getIndexOrder(previousOrder || {});
+        this.processor.addIndexes(this.outputData.records, this.indexOrder);
+        console.log(`✓ Indexed ${this.indexOrder.genres.length} top-level genres and ${this.indexOrder.moods.length} moods`);
+
         // Generate filter options
         this.outputData.filterOptions = this.processor.getFilterOptions();
         console.log(`✓ Generated filter options`);
@@ -42,104 +134,155 @@ class DataConverter {
 
         // Generate metadata
         this.outputData.metadata = this.generateMetadata(records);
+        this.outputData.metadata.deduplication = {
+            mergedGroups: mergeGroups.length,
+            recordsRemoved: parsedCount - records.length
+        };
+        this.outputData.metadata.indexOrder = this.indexOrder;
+        if (this.imports.length > 0) {
+            this.outputData.metadata.imports = this.imports;
+        }
+        if (previous) {
+            const entry = this.datasetDiff.summarize(this.diff, {
+                generatedAt: this.outputData.generatedAt,
+                since: previous.generatedAt || null
+            });
+            this.outputData.metadata.changelog = this.datasetDiff.extendChangelog(
+                previous.metadata && previous.metadata.changelog, entry);
+        }
+        if (coverColors) {
+            this.outputData.metadata.coverColors = coverColors;
+        }
         console.log(`✓ Generated metadata`);
 
         console.log('✅ Data conversion complete');
         return this.outputData;
     }
 
+    /**
+     * Upgrade the dataset being replaced so it can be compared with the new one
+     * @param {Object} document - Parsed records.json, full or compact
+     * @returns {Object|null} Upgraded document, null when it has no records to compare
+     *   (a shard manifest: assemble its shards into one document first)
+     */
+    readPrevious(document) {
+        if (document && document.format === 'manifest') {
+            console.warn('The previous dataset is a shard manifest without records; changes are not tracked');
+            return null;
+        }
+        const { document: upgraded, report } = new DatasetSchema().upgrade(document);
+        if (report.skipped > 0) {
+            console.warn(`${report.skipped} records of the previous dataset are invalid and count as removed`);
+        }
+        return upgraded;
+    }
+
+    /**
+     * Extract the dominant colors of every cover
+     * Each analyzed record gets coverPalette ({ hex, share } list) and coverColors. Records
+     * without color tags take the cover's colors (colorSource: 'cover'); records whose tags
+     * disagree with the artwork get colorMismatch. Covers that can't be read are skipped.
+     * @param {Array} records - Parsed records (modified in place)
+     * @param {Function} onProgress - Called with (analyzed, total)
+     * @returns {Promise<Object>} { analyzed, failed, filled, mismatched } - mismatched lists record ids
+     */
+    async analyzeCoverColors(records, onProgress = () => {}) {
+        const summary = { analyzed: 0, failed: 0, filled: 0, mismatched: [] };
+        const queue = records.filter(record => record.cover);
+        let done = 0;
+
+        const analyzeNext = async () => {
+            while (queue.length > 0) {
+                const record = queue.shift();
+                try {
+                    const { palette, colors } = await this.paletteExtractor.extractFromURL(record.cover);
+                    record.coverPalette = palette;
+                    record.coverColors = colors;
+                    summary.analyzed++;
+
+                    if (record.colors.length === 0 && colors.length > 0) {
+                        record.colors = [...colors];
+                        record.colorSource = 'cover';
+                        this.processor.normalizeColors(record);
+                        record.searchTerms = [record.searchTerms, ...record.colors].join(' ');
+                        summary.filled++;
+                    } else {
+                        const mismatch = this.paletteExtractor.findMismatch(record.colors, colors);
+                        if (mismatch) {
+                            record.colorMismatch = mismatch;
+                            summary.mismatched.push(record.id);
+                        }
+                    }
+                } catch (error) {
+                    console.warn(`Cover colors unavailable for record ${record.id}:`, error.message);
+                    summary.failed++;
+                }
+                onProgress(++done, records.length);
+            }
+        };
+
+        await Promise.all(Array.from({ length: DataConverter.COVER_CONCURRENCY }, analyzeNext));
+        return summary;
+    }
+
     /**
      * Optimize records for better performance
      * @param {Array} records - Original records
      * @returns {Array} Optimized records
      */
     optimizeRecords(records) {
+        const taxonomy = this.processor.taxonomy;
+
         return records.map(record => {
+            const moods = taxonomy.parseMoods(record.mood);
+
             // Create optimized record with only essential fields
             const optimized = {
                 id: record.id,
                 cover: record.cover,
                 artworkName: record.artworkName,
-                genre: record.genre,
+                genre: taxonomy.canonicalGenre(record.genre),
                 artist: record.artist,
                 songTitle: record.songTitle,
                 artisticCategory: record.artisticCategory,
-                mood: record.mood,
+                mood: moods.join(', '),
+                moods: moods,
                 colors: record.colors,
+                palette: record.palette,
+                colorTemperature: record.colorTemperature,
+                colorTones: record.colorTones,
                 collections: record.collections,
-                searchTerms: record.searchTerms
+                releaseYear: record.releaseYear,
+                decade: record.decade
             };
 
-            // Add derived fields for better UX
-            optimized.displayTitle = `${record.songTitle} by ${record.artist}`;
-            optimized.primaryColor = this.extractPrimaryColor(record.colors);
-            optimized.tags = [...record.collections, record.genre, record.mood].filter(Boolean);
-            
-            // Add grouping hints for 3D positioning
-            optimized.genreIndex = this.getGenreIndex(record.genre);
-            optimized.moodIndex = this.getMoodIndex(record.mood);
+            // Extra CSV columns flow through untouched
+            if (record.customFields) {
+                optimized.customFields = record.customFields;
+            }
 
-            return optimized;
-        });
-    }
+            // Colors read from the cover artwork
+            if (record.coverPalette) {
+                optimized.coverPalette = record.coverPalette;
+                optimized.coverColors = record.coverColors;
+            }
+            if (record.colorSource) {
+                optimized.colorSource = record.colorSource;
+            }
+            if (record.colorMismatch) {
+                optimized.colorMismatch = record.colorMismatch;
+            }
 
-    /**
-     * Extract primary color from color array
-     * @param {Array} colors - Color array
-     * @returns {string} Primary color
-     */
-    extractPrimaryColor(colors) {
-        if (!colors || colors.length === 0) return 'neutral';
-        
-        // Priority order for primary colors
-        const colorPriority = {
-            'red': 10,
-            'blue': 9,
-            'green': 8,
-            'purple': 7,
-            'orange': 6,
-            'yellow': 5,
-            'pink': 4,
-            'black': 3,
-            'white': 2,
-            'gray': 1,
-            'grey': 1
-        };
+            // Ids of duplicates folded into this record
+            if (record.mergedFrom) {
+                optimized.mergedFrom = record.mergedFrom;
+            }
 
-        let primaryColor = 'neutral';
-        let highestPriority = 0;
+            // Add derived fields for better UX
+            this.processor.addDerivedFields(optimized);
 
-        colors.forEach(color => {
-            const normalizedColor = color.toLowerCase().trim();
-            Object.keys(colorPriority).forEach(key => {
-                if (normalizedColor.includes(key) && colorPriority[key] > highestPriority) {
-                    primaryColor = key;
-                    highestPriority = colorPriority[key];
-                }
-            });
+            return optimized;
         });
-
-        return primaryColor;
-    }
-
-    /**
-     * Get genre index for positioning
-     * @param {string} genre - Genre name
-     * @returns {number} Genre index
-     */
-    getGenreIndex(genre) {
-        const genres = ['Psychedelic', 'Indie', 'Alternative Rock', 'Hip Hop'];
-        return genres.indexOf(genre) !== -1 ? genres.indexOf(genre) : 0;
-    }
-
-    /**
-     * Get mood index for positioning
-     * @param {string} mood - Mood name
-     * @returns {number} Mood index
-     */
-    getMoodIndex(mood) {
-        const moods = ['Euphoric', 'Calming', 'Wanderlust', 'Rebellious', 'Mysterious'];
-        return moods.indexOf(mood) !== -1 ? moods.indexOf(mood) : 0;
     }
 
     /**
@@ -156,6 +299,7 @@ class DataConverter {
         const artistBreakdown = {};
         const colorBreakdown = {};
         const collectionBreakdown = {};
+        const decadeBreakdown = {};
 
         records.forEach(record => {
             // Genre stats
@@ -176,6 +320,12 @@ class DataConverter {
             record.collections.forEach(collection => {
                 collectionBreakdown[collection] = (collectionBreakdown[collection] || 0) + 1;
             });
+
+            // Decade stats
+            if (record.decade) {
+                const decade = this.processor.getDecadeLabel(record.decade);
+                decadeBreakdown[decade] = (decadeBreakdown[decade] || 0) + 1;
+            }
         });
 
         return {
@@ -185,7 +335,9 @@ class DataConverter {
                 moods: this.sortBreakdown(moodBreakdown),
                 artists: this.sortBreakdown(artistBreakdown),
                 colors: this.sortBreakdown(colorBreakdown),
-                collections: this.sortBreakdown(collectionBreakdown)
+                collections: this.sortBreakdown(collectionBreakdown),
+                // Oldest first rather than by count
+                decades: Object.fromEntries(Object.entries(decadeBreakdown).sort((a, b) => a[0].localeCompare(b[0])))
             },
             topArtists: Object.entries(artistBreakdown)
                 .sort((a, b) => b[1] - a[1])
@@ -194,7 +346,27 @@ class DataConverter {
             topColors: Object.entries(colorBreakdown)
                 .sort((a, b) => b[1] - a[1])
                 .slice(0, 10)
-                .map(([color, count]) => ({ color, count }))
+                .map(([color, count]) => ({ color, count })),
+            indexes: this.getIndexStats(this.outputData.records)
+        };
+    }
+
+    /**
+     * Count the records behind each genreIndex and moodIndex
+     * @param {Array} records - Optimized records (see optimizeRecords)
+     * @returns {Object} { genres: [{ index, genre, count }], moods: [{ index, mood, count }] }
+     */
+    getIndexStats(records) {
+        const genreCounts = this.indexOrder.genres.map(() => 0);
+        const moodCounts = this.indexOrder.moods.map(() => 0);
+        records.forEach(({ genreIndex, moodIndex }) => {
+            if (genreIndex >= 0) genreCounts[genreIndex]++;
+            if (moodIndex >= 0) moodCounts[moodIndex]++;
+        });
+
+        return {
+            genres: this.indexOrder.genres.map((genre, index) => ({ index, genre, count: genreCounts[index] })),
+            moods: this.indexOrder.moods.map((mood, index) => ({ index, mood, count: moodCounts[index] }))
         };
     }
 
@@ -292,45 +464,191 @@ class DataConverter {
     /**
      * Extract year range from data
      * @param {Array} records - Record array
-     * @returns {Object} Year range
+     * @returns {Object} { earliest, latest, withYear, withDecadeOnly, unknown, decades } - earliest and
+     *   latest are null without any years; decades lists { decade, count } oldest first
      */
     extractYearRange(records) {
-        // Note: The current data doesn't have explicit years,
-        // but we can analyze color descriptions for hints
+        const years = records.map(record => record.releaseYear).filter(Boolean);
+        const decades = new Map();
+        records.forEach(record => {
+            if (record.decade) decades.set(record.decade, (decades.get(record.decade) || 0) + 1);
+        });
+
         return {
-            note: 'Year information not explicitly available in current dataset',
-            eras: ['contemporary', 'hipstoric', 'modern'] // From collections analysis
+            earliest: years.length > 0 ? Math.min(...years) : null,
+            latest: years.length > 0 ? Math.max(...years) : null,
+            withYear: years.length,
+            withDecadeOnly: records.filter(record => !record.releaseYear && record.decade).length,
+            unknown: records.filter(record => !record.decade).length,
+            decades: Array.from(decades.keys())
+                .sort((a, b) => a - b)
+                .map(decade => ({ decade: this.processor.getDecadeLabel(decade), count: decades.get(decade) }))
         };
     }
 
+    /**
+     * Serialize converted data as JSON
+     * @param {Object} data - Data to serialize
+     * @param {Object} options - Serialization options
+     * @param {boolean} options.pretty - Indent the output (otherwise minified)
+     * @param {boolean} options.compact - Write the compact format (see CompactDataset)
+     * @returns {string} JSON text
+     */
+    serialize(data, options = {}) {
+        const pretty = options.pretty !== false;
+        const output = options.compact ? this.compactDataset.encode(data) : data;
+        return JSON.stringify(output, null, pretty ? 2 : 0);
+    }
+
+    /**
+     * Size of text once UTF-8 encoded
+     * @param {string} text - Text
+     * @returns {number} Bytes
+     */
+    getByteLength(text) {
+        return new TextEncoder().encode(text).length;
+    }
+
     /**
      * Save data to JSON file (for Node.js environments)
+     * In the browser the file is downloaded instead (see downloadJSON).
      * @param {Object} data - Data to save
      * @param {string} filename - Output filename
+     * @param {Object} options - See serialize
      */
-    saveToFile(data, filename = 'records.json') {
-        // This would work in Node.js environment
-        // For browser, we'll provide download functionality
-        const jsonString = JSON.stringify(data, null, 2);
-        
+    saveToFile(data, filename = 'records.json', options = {}) {
         if (typeof require !== 'undefined') {
-            // Node.js environment
+            // Node.js environment (see js/node.js)
             const fs = require('fs');
-            fs.writeFileSync(filename, jsonString);
+            fs.writeFileSync(filename, this.serialize(data, options));
             console.log(`✓ Data saved to ${filename}`);
         } else {
             // Browser environment - trigger download
-            this.downloadJSON(data, filename);
+            this.downloadJSON(data, filename, options);
         }
     }
 
+    /**
+     * Split converted data into shards plus a manifest, so the app can load only
+     * the records its filters need
+     * The manifest carries everything needed before any shard arrives: filter
+     * options, statistics, catalog-wide facet counts and which genres each shard holds.
+     * @param {Object} data - Converted data (see convertData)
+     * @param {Object} options - Sharding options
+     * @param {string} options.by - 'genre' (one shard per genre) or 'size' (fixed-size chunks)
+     * @param {number} options.size - Records per shard when splitting by size
+     * @returns {Object} { manifest, shards } - shards are { file, document }; files are
+     *   relative to the manifest
+     */
+    buildShards(data, options = {}) {
+        const by = options.by || 'genre';
+        const size = options.size || DataConverter.SHARD_SIZE;
+        if (!['genre', 'size'].includes(by)) {
+            throw new Error(`Unknown shard split "${by}" (use "genre" or "size")`);
+        }
+
+        const groups = [];
+        if (by === 'genre') {
+            const byGenre = new Map();
+            data.records.forEach(record => {
+                if (!byGenre.has(record.genre)) byGenre.set(record.genre, []);
+                byGenre.get(record.genre).push(record);
+            });
+            this.processor.taxonomy.sortGenres(byGenre.keys())
+                .forEach(genre => groups.push({ key: genre, records: byGenre.get(genre) }));
+        } else {
+            for (let start = 0; start < data.records.length; start += size) {
+                groups.push({ key: null, records: data.records.slice(start, start + size) });
+            }
+        }
+
+        const shards = groups.map(({ key, records }, index) => {
+            const slug = key ? `-${key.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}` : '';
+            return {
+                file: `shards/${String(index).padStart(3, '0')}${slug}.json`,
+                document: { version: data.version, generatedAt: data.generatedAt, shard: index, records }
+            };
+        });
+
+        const manifest = {
+            version: data.version,
+            format: 'manifest',
+            generatedAt: data.generatedAt,
+            count: data.records.length,
+            shardBy: by,
+            shards: shards.map(({ file, document }) => ({
+                file,
+                count: document.records.length,
+                genres: [...new Set(document.records.map(record => record.genre))]
+            })),
+            metadata: data.metadata,
+            filterOptions: data.filterOptions,
+            facetCounts: this.processor.getFacetCounts(),
+            statistics: data.statistics
+        };
+
+        return { manifest, shards };
+    }
+
+    /**
+     * Save sharded data (for Node.js environments)
+     * Shards go in a shards/ folder next to the manifest. Shard files of earlier runs
+     * that the new manifest doesn't list are removed once it is written.
+     * @param {Object} data - Converted data
+     * @param {string} manifestFile - Manifest filename
+     * @param {Object} options - See buildShards and serialize (shards can be compact)
+     * @returns {Object} { manifest, shards, sizes, removed } - sizes in bytes: { manifest, shards };
+     *   removed lists the stale shard files deleted
+     */
+    saveShards(data, manifestFile = 'manifest.json', options = {}) {
+        if (typeof require === 'undefined') {
+            throw new Error('Sharded output can only be saved from Node.js (see bin/digggin-convert.js)');
+        }
+
+        const fs = require('fs');
+        const path = require('path');
+        const { manifest, shards } = this.buildShards(data, options);
+        const sizes = { manifest: 0, shards: 0 };
+
+        shards.forEach(shard => {
+            const filename = path.join(path.dirname(manifestFile), shard.file);
+            const text = this.serialize(shard.document, options);
+            fs.mkdirSync(path.dirname(filename), { recursive: true });
+            fs.writeFileSync(filename, text);
+            sizes.shards += this.getByteLength(text);
+        });
+
+        const text = this.serialize(manifest, { pretty: options.pretty });
+        fs.writeFileSync(manifestFile, text);
+        sizes.manifest = this.getByteLength(text);
+
+        // Other shard layouts or dropped genres leave files the manifest no longer lists
+        const listed = new Set(shards.map(shard => path.resolve(path.dirname(manifestFile), shard.file)));
+        const folders = new Set([...listed].map(filename => path.dirname(filename)));
+        const removed = [];
+        folders.forEach(folder => {
+            fs.readdirSync(folder)
+                .map(name => path.join(folder, name))
+                .filter(filename => filename.endsWith('.json') && !listed.has(filename))
+                .forEach(filename => {
+                    fs.unlinkSync(filename);
+                    removed.push(filename);
+                });
+        });
+
+        console.log(`✓ Saved ${shards.length} shards and manifest ${manifestFile}` +
+            (removed.length > 0 ? ` (${removed.length} stale shards removed)` : ''));
+        return { manifest, shards, sizes, removed };
+    }
+
     /**
      * Download JSON data in browser
      * @param {Object} data - Data to download
      * @param {string} filename - Filename
+     * @param {Object} options - See serialize
      */
-    downloadJSON(data, filename) {
-        const jsonString = JSON.stringify(data, null, 2);
+    downloadJSON(data, filename, options = {}) {
+        const jsonString = this.serialize(data, options);
         const blob = new Blob([jsonString], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         
@@ -350,21 +668,38 @@ class DataConverter {
      * @returns {Object} Summary
      */
     getSummary() {
+        const sizes = this.getSizeReport();
         return {
             totalRecords: this.outputData.records.length,
-            dataSize: JSON.stringify(this.outputData).length,
-            compressionRatio: this.calculateCompressionRatio(),
+            dataSize: sizes.minified,
+            sizes,
+            compressionRatio: this.calculateCompressionRatio(sizes),
             qualityScore: this.calculateQualityScore()
         };
     }
 
+    /**
+     * Measure the converted data in each output format
+     * @returns {Object} Bytes of { source (CSV), pretty, minified, compact } (compact is minified too)
+     */
+    getSizeReport() {
+        return {
+            source: this.sourceSize,
+            pretty: this.getByteLength(this.serialize(this.outputData)),
+            minified: this.getByteLength(this.serialize(this.outputData, { pretty: false })),
+            compact: this.getByteLength(this.serialize(this.outputData, { pretty: false, compact: true }))
+        };
+    }
+
     /**
      * Calculate compression ratio compared to original CSV
-     * @returns {number} Compression ratio
+     * @param {Object} sizes - Sizes from getSizeReport
+     * @param {string} format - Format measured: 'pretty', 'minified' or 'compact'
+     * @returns {number} Output size divided by the CSV size (below 1 is smaller)
      */
-    calculateCompressionRatio() {
-        // Estimated based on typical CSV vs JSON size differences
-        return 0.85; // JSON is typically 85% of CSV size due to better structure
+    calculateCompressionRatio(sizes = this.getSizeReport(), format = 'compact') {
+        if (!sizes.source) return 0;
+        return Math.round(sizes[format] / sizes.source * 100) / 100;
     }
 
     /**
@@ -380,5 +715,15 @@ class DataConverter {
     }
 }
 
+/**
+ * Cover images downloaded at the same time while extracting palettes
+ */
+DataConverter.COVER_CONCURRENCY = 6;
+
+/**
+ * Records per shard when splitting by size
+ */
+DataConverter.SHARD_SIZE = 250;
+
 // Export for use in other modules
 window.DataConverter = DataConverter;
\ No newline at end of file
@@ -0,0 +1,196 @@
+/**
+ * CSV reading and writing for DIGGGIN record database
+ * CSVTokenizer is an incremental RFC 4180 tokenizer: text can be pushed in arbitrary chunks (e.g. straight from a fetch stream);
+ * complete rows are returned as soon as their line ending has been seen.
+ * Quoted fields may contain commas, newlines and escaped ("") quotes; CRLF,
+ * LF and CR line endings and a leading UTF-8 BOM are accepted.
+ */
+
+class CSVTokenizer {
+    constructor() {
+        this.rows = [];
+        this.errors = [];
+        this.pending = ''; // Trailing character that needs the next chunk to interpret
+        this.started = false;
+
+        this.fields = [];
+        this.field = '';
+        this.inQuotes = false;
+        this.quotedField = false;
+        this.line = 1;
+        this.rowLine = 1;
+        this.quoteLine = 1;
+    }
+
+    /**
+     * Tokenize the next chunk of text
+     * @param {string} chunk - CSV text
+     * @returns {Array} Rows completed by this chunk as { line, fields }
+     */
+    push(chunk) {
+        let text = this.pending + (chunk || '');
+        this.pending = '';
+
+        if (!this.started && text.length > 0) {
+            text = text.replace(/^\uFEFF/, '');
+            this.started = true;
+        }
+
+        // "\r" may be the first half of "\r\n" and trailing quotes may be half of '""'
+        let cut = text.length;
+        while (cut > 0 && text[cut - 1] === '"') {
+            cut--;
+        }
+        if (cut === text.length && text[cut - 1] === '\r') {
+            cut--;
+        }
+        this.pending = text.slice(cut);
+        text = text.slice(0, cut);
+
+        this.scan(text);
+        return this.takeRows();
+    }
+
+    /**
+     * Finish tokenizing: flush the last row and report unterminated quotes
+     * @returns {Array} Remaining rows as { line, fields }
+     */
+    end() {
+        this.scan(this.pending);
+        this.pending = '';
+
+        if (this.inQuotes) {
+            this.errors.push({ line: this.quoteLine, reason: 'Unterminated quoted field' });
+            this.inQuotes = false;
+        }
+
+        // Flush the last row unless the input ended with a newline
+        if (this.field !== '' || this.quotedField || this.fields.length > 0) {
+            this.endRow();
+        }
+
+        return this.takeRows();
+    }
+
+    /**
+     * Hand over the rows completed so far
+     * @returns {Array} Rows as { line, fields }
+     */
+    takeRows() {
+        const rows = this.rows;
+        this.rows = [];
+        return rows;
+    }
+
+    /**
+     * Finish the current field; unquoted fields are trimmed, quoted fields are kept verbatim
+     */
+    endField() {
+        this.fields.push(this.quotedField ? this.field : this.field.trim());
+        this.field = '';
+        this.quotedField = false;
+    }
+
+    /**
+     * Finish the current row
+     */
+    endRow() {
+        this.endField();
+        this.rows.push({ line: this.rowLine, fields: this.fields });
+        this.fields = [];
+    }
+
+    /**
+     * Run the tokenizer state machine over a piece of text
+     * @param {string} text - CSV text
+     */
+    scan(text) {
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (this.inQuotes) {
+                if (char === '"') {
+                    if (text[i + 1] === '"') {
+                        this.field += '"';
+                        i++;
+                    } else {
+                        this.inQuotes = false;
+                    }
+                } else {
+                    if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) {
+                        this.line++;
+                    }
+                    this.field += char;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                if (this.field.trim() === '' && !this.quotedField) {
+                    // Opening quote (leading whitespace before it is dropped)
+                    this.field = '';
+                    this.inQuotes = true;
+                    this.quotedField = true;
+                    this.quoteLine = this.line;
+                } else {
+                    this.errors.push({ line: this.line, reason: 'Unexpected quote inside unquoted field' });
+                    this.field += char;
+                }
+            } else if (char === ',') {
+                this.endField();
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                this.endRow();
+                this.line++;
+                this.rowLine = this.line;
+            } else if (this.quotedField) {
+                if (char.trim() !== '') {
+                    this.errors.push({ line: this.line, reason: 'Unexpected characters after closing quote' });
+                    this.quotedField = false;
+                    this.field += char;
+                }
+            } else {
+                this.field += char;
+            }
+        }
+    }
+}
+
+/**
+ * CSV writing for files handed to spreadsheet users (exports, reports)
+ */
+class CSVWriter {
+    /**
+     * Format one cell, quoted when needed
+     * Spreadsheets run cells starting with = + - @ as formulas; a leading ' keeps them text.
+     * @param {*} value - Cell value; null and undefined are empty
+     * @returns {string} CSV cell
+     */
+    static formatCell(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (CSVWriter.FORMULA_PREFIX.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Format rows as CSV text with CRLF line endings
+     * @param {Array} rows - Arrays of cell values, header first
+     * @returns {string} CSV text
+     */
+    static format(rows) {
+        return rows.map(row => row.map(value => CSVWriter.formatCell(value)).join(',')).join('\r\n') + '\r\n';
+    }
+}
+
+/**
+ * Cell starts spreadsheets read as a formula (tabs and carriage returns included)
+ */
+CSVWriter.FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Export for use in other modules
+window.CSVTokenizer = CSVTokenizer;
+window.CSVWriter = CSVWriter;
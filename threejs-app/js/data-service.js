@@ -0,0 +1,561 @@
+/**
+ * Asynchronous data service for DIGGGIN record database
+ * Parsing, indexing and filtering run in a Web Worker (js/data-worker.js) so large
+ * catalogs never block rendering. Where workers are unavailable (file:// pages,
+ * old browsers) the same tasks run in-thread behind the same promise API.
+ *
+ * The main thread keeps its own DataProcessor holding the same records in the same
+ * order; the worker answers queries with record positions rather than copies.
+ */
+
+class DataTaskRunner {
+    /**
+     * @param {DataProcessor} processor - Processor the tasks run against
+     */
+    constructor(processor) {
+        this.processor = processor;
+        this.positions = new Map(); // record -> position in processor.records
+        this.stream = null; // { format, json, dataset } while a streamed load is in progress
+        this.similarity = null; // SimilarityEngine, built on first "more like this" lookup
+    }
+
+    /**
+     * Run a task
+     * @param {string} type - Task name (parseCSV, setRecords, beginLoad, appendLoad, endLoad,
+     *   appendDocument, query, randomRecords, similar, stats)
+     * @param {Object} payload - Task arguments
+     * @param {Function} onProgress - Called with { stage, processed, total }
+     * @returns {Object} Task result (structured-clone safe)
+     */
+    run(type, payload = {}, onProgress = () => {}) {
+        switch (type) {
+            case 'parseCSV': {
+                const records = this.processor.parseCSV(payload.csvData, {
+                    onProgress: (processed, total) => onProgress({ stage: 'parsing', processed, total })
+                });
+                this.buildIndex(onProgress);
+                return {
+                    records,
+                    parseErrors: this.processor.getParseErrors(),
+                    schemaReport: this.processor.getSchemaReport()
+                };
+            }
+
+            case 'setRecords': {
+                const records = this.processor.setRecords(payload.records || []);
+                this.buildIndex(onProgress);
+                return { records };
+            }
+
+            case 'beginLoad': {
+                this.processor.setRecords([]);
+                this.positions = new Map();
+                this.similarity = null;
+                this.stream = { format: payload.format };
+                if (payload.format === 'csv') {
+                    this.processor.beginCSV();
+                } else {
+                    this.stream.json = new JSONRecordStream();
+                    this.stream.dataset = {
+                        schema: new DatasetSchema(),
+                        version: null,
+                        migrations: null, // known once the file's version is
+                        deferred: [],     // records held back until then
+                        read: 0,
+                        skipped: 0,
+                        issues: []
+                    };
+                }
+                return {};
+            }
+
+            case 'appendLoad': {
+                this.checkStream();
+                const records = this.stream.format === 'csv'
+                    ? this.processor.appendCSV(payload.chunk)
+                    : this.processor.appendRecords(this.readJSONRecords(payload.chunk));
+                this.trackPositions(records);
+                this.similarity = null;
+                return { records, total: this.processor.records.length };
+            }
+
+            case 'endLoad': {
+                this.checkStream();
+                let records = [];
+                let document = {};
+                let dataset = null;
+                if (this.stream.format === 'csv') {
+                    records = this.processor.endCSV();
+                } else {
+                    ({ records, document, dataset } = this.endJSONRecords());
+                }
+                this.stream = null;
+                this.buildIndex(onProgress);
+                return {
+                    records,
+                    parseErrors: this.processor.getParseErrors(),
+                    metadata: document.metadata || null,
+                    filterOptions: document.filterOptions || null,
+                    dataset
+                };
+            }
+
+            case 'appendDocument': {
+                // A whole records.json (e.g. one shard of a sharded catalog) added to the loaded records
+                const { document, report } = new DatasetSchema().upgrade(JSON.parse(payload.text));
+                const records = this.processor.appendRecords(document.records);
+                this.trackPositions(records);
+                this.similarity = null;
+                return { records, dataset: report };
+            }
+
+            case 'query': {
+                const filters = payload.filters || {};
+                const filtered = this.processor.filterRecords(filters);
+                const ordered = this.processor.sortRecords(filtered, payload.sortMode, {
+                    seed: payload.seed,
+                    hasSearch: !!(filters.search && filters.search.trim())
+                });
+                return {
+                    positions: ordered.map(record => this.positions.get(record)),
+                    facetCounts: payload.facetCounts === false ? null : this.processor.getFacetCounts(filters)
+                };
+            }
+
+            case 'randomRecords': {
+                const records = this.processor.getRandomRecords(payload.count, payload.seed);
+                return { positions: records.map(record => this.positions.get(record)) };
+            }
+
+            case 'similar': {
+                const record = this.processor.records[payload.position];
+                const matches = record ? this.getSimilarityEngine().findSimilar(record, payload.limit) : [];
+                return {
+                    matches: matches.map(({ index, score, shared }) => ({ position: index, score, shared }))
+                };
+            }
+
+            case 'stats':
+                return this.processor.getStats();
+
+            default:
+                throw new Error(`Unknown data task "${type}"`);
+        }
+    }
+
+    /**
+     * Map records to positions and build the search index up front
+     * @param {Function} onProgress - Progress callback
+     */
+    buildIndex(onProgress) {
+        const records = this.processor.records;
+        onProgress({ stage: 'indexing', processed: 0, total: records.length });
+
+        this.positions = new Map();
+        this.trackPositions(records);
+        this.processor.getSearchIndex();
+        this.similarity = null;
+
+        onProgress({ stage: 'indexing', processed: records.length, total: records.length });
+    }
+
+    /**
+     * Make sure a streamed load was begun here
+     * @throws {Error} When there is none (e.g. it was begun in a worker that failed)
+     */
+    checkStream() {
+        if (!this.stream) {
+            throw new Error('No streamed load in progress; restart the load with beginLoad');
+        }
+    }
+
+    /**
+     * Read the next chunk of a streamed records.json, upgrading its records
+     * The file's version is read from the fields before the records array. Files
+     * that state it later (or not at all) have their records held back until the end,
+     * as do compact files (see endJSONRecords).
+     * @param {string} chunk - JSON text
+     * @returns {Array} Upgraded, valid records completed by this chunk
+     * @throws {Error} When the file's version can't be loaded
+     */
+    readJSONRecords(chunk) {
+        const { json, dataset } = this.stream;
+        const records = json.push(chunk);
+
+        if (!dataset.migrations) {
+            const version = json.header ? dataset.schema.getVersion(json.header) : null;
+            if (version === null) {
+                dataset.deferred.push(...records);
+                return [];
+            }
+            dataset.version = version;
+            dataset.migrations = dataset.schema.planMigrations(version);
+        }
+        return this.upgradeJSONRecords(records);
+    }
+
+    /**
+     * Upgrade and check streamed records, counting the ones left out
+     * @param {Array} records - Records as stored in the file
+     * @returns {Array} Valid upgraded records
+     */
+    upgradeJSONRecords(records) {
+        const dataset = this.stream.dataset;
+        const valid = dataset.schema.upgradeRecords(records, dataset.migrations, dataset.read, dataset.issues);
+        dataset.read += records.length;
+        dataset.skipped += records.length - valid.length;
+        return valid;
+    }
+
+    /**
+     * Finish a streamed records.json
+     * @returns {Object} { records, document, dataset } - records held back until the end,
+     *   the upgraded document without its records, and the load report
+     *   (see DatasetSchema.upgrade)
+     * @throws {Error} When the document is malformed
+     */
+    endJSONRecords() {
+        const { json, dataset } = this.stream;
+        const { schema } = dataset;
+
+        // Compact files have no records array to stream; they are unpacked here
+        let document = schema.expand(json.end());
+        if (Array.isArray(document.records) && document.records.length > 0) {
+            dataset.deferred.push(...document.records);
+            document = { ...document, records: [] };
+        }
+
+        let records = [];
+        if (!dataset.migrations) {
+            dataset.version = schema.getVersion(document) || DatasetSchema.LEGACY_VERSION;
+            dataset.migrations = schema.planMigrations(dataset.version);
+            records = this.processor.appendRecords(this.upgradeJSONRecords(dataset.deferred));
+        }
+
+        document = schema.migrateDocument(document, dataset.migrations);
+        const issues = schema.validateDocument(document);
+        if (issues.length > 0) {
+            throw new Error(`Malformed dataset: ${schema.describeIssues(issues)}`);
+        }
+
+        return {
+            records,
+            document,
+            dataset: schema.createReport(dataset.version, dataset.migrations, dataset.skipped, dataset.issues)
+        };
+    }
+
+    /**
+     * Get the similarity engine for the current records, building it if needed
+     * @returns {SimilarityEngine} Engine indexed on processor.records (positions are its indexes)
+     */
+    getSimilarityEngine() {
+        if (!this.similarity) {
+            this.similarity = new SimilarityEngine(this.processor.taxonomy);
+            this.similarity.setRecords(this.processor.records);
+        }
+        return this.similarity;
+    }
+
+    /**
+     * Remember the position of newly added records so results can be sent as positions
+     * @param {Array} records - Records just appended to processor.records
+     */
+    trackPositions(records) {
+        records.forEach(record => this.positions.set(record, this.positions.size));
+    }
+}
+
+class DataService {
+    /**
+     * @param {Object} options - Service options
+     * @param {DataProcessor} options.processor - Main-thread processor (created if omitted)
+     * @param {boolean} options.useWorker - Set false to always run in-thread
+     * @param {string} options.workerPath - Worker script URL (defaults to DataService.WORKER_PATH)
+     */
+    constructor(options = {}) {
+        this.processor = options.processor || new DataProcessor();
+        this.runner = new DataTaskRunner(this.processor);
+        this.worker = null;
+        this.pending = new Map(); // request id -> { resolve, reject, onProgress }
+        this.nextRequestId = 1;
+
+        if (options.useWorker !== false && typeof Worker !== 'undefined') {
+            try {
+                this.worker = new Worker(options.workerPath || DataService.WORKER_PATH);
+                this.worker.onmessage = (event) => this.handleMessage(event.data);
+                this.worker.onerror = (event) => this.handleWorkerFailure(event);
+            } catch (error) {
+                console.warn('Data worker unavailable, processing in-thread:', error.message);
+                this.worker = null;
+            }
+        }
+    }
+
+    /**
+     * Whether tasks run off the main thread
+     * @returns {boolean} Worker in use
+     */
+    isAsync() {
+        return this.worker !== null;
+    }
+
+    /**
+     * Send a task to the worker, or run it in-thread
+     * @param {string} type - Task name
+     * @param {Object} payload - Task arguments
+     * @param {Function} onProgress - Progress callback
+     * @returns {Promise<Object>} Task result
+     */
+    request(type, payload, onProgress) {
+        if (!this.worker) {
+            return new Promise((resolve, reject) => {
+                try {
+                    resolve(this.runner.run(type, payload, onProgress));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        }
+
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { type, payload, resolve, reject, onProgress });
+            this.worker.postMessage({ id, type, payload });
+        });
+    }
+
+    /**
+     * Handle a worker message: { id, type: 'progress' | 'result' | 'error', ... }
+     * @param {Object} message - Message data
+     */
+    handleMessage(message) {
+        const request = this.pending.get(message.id);
+        if (!request) return;
+
+        if (message.type === 'progress') {
+            if (request.onProgress) {
+                request.onProgress(message.progress);
+            }
+            return;
+        }
+
+        this.pending.delete(message.id);
+        if (message.type === 'error') {
+            request.reject(new Error(message.error));
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    /**
+     * The worker failed to load or crashed: finish pending tasks in-thread from now on
+     * A streamed load begun in the worker can't be continued in-thread, so its pending
+     * chunks fail and the caller restarts the load.
+     * @param {ErrorEvent} event - Worker error event
+     */
+    handleWorkerFailure(event) {
+        console.warn('Data worker failed, processing in-thread:', event.message || event);
+        if (event.preventDefault) {
+            event.preventDefault();
+        }
+
+        this.worker.terminate();
+        this.worker = null;
+
+        const pending = Array.from(this.pending.values());
+        this.pending.clear();
+        pending.forEach(({ type, payload, resolve, reject, onProgress }) => {
+            if (DataService.STREAM_TASKS.includes(type)) {
+                reject(new Error(`Data worker failed during a streamed load (${type}); restart the load`));
+                return;
+            }
+            this.request(type, payload, onProgress).then(resolve, reject);
+        });
+    }
+
+    /**
+     * Parse and index CSV data
+     * @param {string} csvData - Raw CSV data
+     * @param {Function} onProgress - Called with { stage, processed, total }
+     * @returns {Promise<Array>} Parsed records (also loaded into the main-thread processor)
+     */
+    async loadCSV(csvData, onProgress) {
+        const result = await this.request('parseCSV', { csvData }, onProgress);
+        this.adoptRecords(result.records);
+        this.processor.parseErrors = result.parseErrors;
+        return this.processor.records;
+    }
+
+    /**
+     * Normalize and index already-structured records (e.g. from records.json)
+     * @param {Array} records - Record objects
+     * @param {Function} onProgress - Called with { stage, processed, total }
+     * @returns {Promise<Array>} Loaded records
+     */
+    async loadRecords(records, onProgress) {
+        const result = await this.request('setRecords', { records }, onProgress);
+        this.adoptRecords(result.records);
+        return this.processor.records;
+    }
+
+    /**
+     * Take over records normalized by the worker, keeping the worker's order
+     * @param {Array} records - Records returned by the worker
+     */
+    adoptRecords(records) {
+        if (this.worker) {
+            this.processor.setRecords(records, { normalize: false });
+            this.runner.positions = new Map();
+            this.runner.trackPositions(this.processor.records); // in case the worker fails later
+        }
+    }
+
+    /**
+     * Start a streamed load; feed it with appendLoad and finish with endLoad
+     * @param {string} format - 'csv' or 'json' (a records.json document)
+     * @returns {Promise} Resolves when the service is ready for chunks
+     */
+    async beginLoad(format) {
+        if (this.worker) {
+            this.processor.setRecords([]);
+            this.runner.positions = new Map();
+        }
+        await this.request('beginLoad', { format });
+    }
+
+    /**
+     * Parse the next chunk of a streamed load
+     * @param {string} chunk - Decoded text
+     * @returns {Promise<Array>} Records completed by this chunk
+     */
+    async appendLoad(chunk) {
+        const result = await this.request('appendLoad', { chunk });
+        return this.adoptAppendedRecords(result.records);
+    }
+
+    /**
+     * Finish a streamed load and build the search index
+     * @param {Function} onProgress - Called with { stage, processed, total } while indexing
+     * @returns {Promise<Object>} { records, parseErrors, metadata, filterOptions, dataset } - records
+     *   holds any records completed by the end of the stream; dataset reports the version
+     *   and skipped records of a records.json (see DatasetSchema.upgrade)
+     */
+    async endLoad(onProgress) {
+        const result = await this.request('endLoad', {}, onProgress);
+        this.processor.parseErrors = result.parseErrors;
+        return { ...result, records: this.adoptAppendedRecords(result.records) };
+    }
+
+    /**
+     * Add the records of a whole records.json document to those loaded
+     * @param {string} text - JSON text (plain or compact, any supported version)
+     * @returns {Promise<Object>} { records, dataset } - the added records and the
+     *   document's upgrade report (see DatasetSchema.upgrade)
+     */
+    async appendDocument(text) {
+        const result = await this.request('appendDocument', { text });
+        return { records: this.adoptAppendedRecords(result.records), dataset: result.dataset };
+    }
+
+    /**
+     * Take over records appended by the worker
+     * @param {Array} records - Records returned by the worker
+     * @returns {Array} The main-thread records
+     */
+    adoptAppendedRecords(records) {
+        if (!this.worker) {
+            return records;
+        }
+        this.processor.appendRecords(records, { normalize: false });
+        this.runner.trackPositions(records);
+        return records;
+    }
+
+    /**
+     * Filter, sort and count facets
+     * @param {Object} filters - Filter criteria (see DataProcessor.filterRecords)
+     * @param {Object} options - { sortMode, seed, facetCounts: false to skip counting }
+     * @returns {Promise<Object>} { records, facetCounts }
+     */
+    async query(filters, options = {}) {
+        const result = await this.request('query', { filters, ...options });
+        return {
+            records: this.toRecords(result.positions),
+            facetCounts: result.facetCounts
+        };
+    }
+
+    /**
+     * Pick a seeded random selection
+     * @param {number} count - Number of records
+     * @param {number} seed - Shuffle seed
+     * @returns {Promise<Array>} Records
+     */
+    async getRandomRecords(count, seed) {
+        const result = await this.request('randomRecords', { count, seed });
+        return this.toRecords(result.positions);
+    }
+
+    /**
+     * Find the records most like a record ("more like this")
+     * @param {Object} record - One of the loaded records
+     * @param {number} limit - Maximum matches (defaults to SimilarityEngine.DEFAULT_LIMIT)
+     * @returns {Promise<Array>} Matches as { record, score, shared }, best first
+     *   (see SimilarityEngine.findSimilar)
+     */
+    async findSimilar(record, limit) {
+        const position = this.runner.positions.get(record);
+        if (position === undefined) return [];
+
+        const result = await this.request('similar', { position, limit });
+        return result.matches.map(({ position, score, shared }) => ({
+            record: this.processor.records[position],
+            score,
+            shared
+        }));
+    }
+
+    /**
+     * Get dataset statistics
+     * @returns {Promise<Object>} Statistics (see DataProcessor.getStats)
+     */
+    getStats() {
+        return this.request('stats');
+    }
+
+    /**
+     * Resolve record positions against the main-thread records
+     * @param {Array} positions - Positions in processor.records
+     * @returns {Array} Records
+     */
+    toRecords(positions) {
+        return positions.map(position => this.processor.records[position]);
+    }
+
+    /**
+     * Stop the worker and reject outstanding tasks
+     */
+    dispose() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.pending.forEach(({ reject }) => reject(new Error('Data service disposed')));
+        this.pending.clear();
+    }
+}
+
+/**
+ * Worker script, relative to the page
+ */
+DataService.WORKER_PATH = 'js/data-worker.js';
+
+/**
+ * Tasks that continue a streamed load begun with beginLoad
+ */
+DataService.STREAM_TASKS = ['appendLoad', 'endLoad'];
+
+// Export for use in other modules
+window.DataTaskRunner = DataTaskRunner;
+window.DataService = DataService;
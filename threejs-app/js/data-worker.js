@@ -0,0 +1,31 @@
+/**
+ * Web Worker for DIGGGIN data processing
+ * Runs DataTaskRunner tasks posted by DataService and replies with
+ * { id, type: 'progress' | 'result' | 'error' } messages.
+ */
+
+// The shared modules export through window
+self.window = self;
+
+importScripts('taxonomy.js', 'colors.js', 'search.js', 'query.js', 'csv.js', 'json-stream.js', 'compact-dataset.js', 'dataset-schema.js', 'data.js', 'similarity.js', 'data-service.js');
+
+let runner = new DataTaskRunner(new DataProcessor());
+
+self.onmessage = (event) => {
+    const { id, type, payload } = event.data;
+
+    try {
+        // Each load starts from a fresh processor so no state leaks between datasets
+        if (type === 'parseCSV' || type === 'setRecords' || type === 'beginLoad') {
+            runner = new DataTaskRunner(new DataProcessor());
+        }
+
+        const result = runner.run(type, payload, (progress) => {
+            self.postMessage({ id, type: 'progress', progress });
+        });
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        console.error(`Data task "${type}" failed:`, error);
+        self.postMessage({ id, type: 'error', error: error.message });
+    }
+};
@@ -3,67 +3,351 @@
  */
 
 class DataProcessor {
-    constructor() {
+    /**
+     * @param {Object} options - Processor options
+     * @param {Array} options.schema - Column schema (defaults to DataProcessor.DEFAULT_SCHEMA)
+     * @param {Taxonomy} options.taxonomy - Genre/mood taxonomy
+     * @param {ColorVocabulary} options.colorVocabulary - Color phrases and swatches
+     */
+    constructor(options = {}) {
+        this.schema = options.schema || DataProcessor.DEFAULT_SCHEMA;
+        this.taxonomy = options.taxonomy || new Taxonomy();
+        this.colorVocabulary = options.colorVocabulary || new ColorVocabulary();
+        this.queryParser = new QueryParser();
+        this.columnMapping = null;
         this.records = [];
         this.genres = new Set();
         this.artists = new Set();
         this.moods = new Set();
         this.collections = new Set();
+        this.colors = new Set();
+        this.temperatures = new Set();
+        this.tones = new Set();
+        this.categories = new Set();
+        this.decades = new Set();
+        this.years = new Set();
+        this.parseErrors = [];
+        this.csvStream = null;
+        this.searchIndex = null;
     }
 
     /**
      * Parse CSV data and convert to structured JSON
+     * Follows RFC 4180: quoted fields may contain commas, newlines and
+     * escaped ("") quotes; CRLF, LF and CR line endings and a leading
+     * UTF-8 BOM are accepted. Problems are collected in this.parseErrors.
      * @param {string} csvData - Raw CSV string
+     * @param {Object} options - { onProgress(processedRows, totalRows) }, called every 1000 rows
      * @returns {Array} Processed records array
      */
-    parseCSV(csvData) {
-        const lines = csvData.trim().split('\n');
-        const headers = this.parseCSVRow(lines[0]);
-        
+    parseCSV(csvData, options = {}) {
+        const { rows, errors } = this.tokenizeCSV(csvData);
+        this.parseErrors = errors;
+        this.searchIndex = null;
+
+        if (rows.length === 0) {
+            console.warn('CSV data is empty');
+            return this.records;
+        }
+
+        const headers = rows[0].fields;
         console.log('CSV Headers:', headers);
-        
-        for (let i = 1; i < lines.length; i++) {
-            const row = this.parseCSVRow(lines[i]);
-            if (row.length >= headers.length) {
-                const record = this.createRecord(headers, row, i);
-                if (record) {
-                    this.records.push(record);
-                    this.extractMetadata(record);
-                }
+
+        for (let i = 1; i < rows.length; i++) {
+            if (options.onProgress && i % 1000 === 0) {
+                options.onProgress(i, rows.length - 1);
             }
+            this.addCSVRow(headers, rows[i], i);
         }
-        
-        console.log(`Processed ${this.records.length} records`);
+
+        if (options.onProgress) {
+            options.onProgress(rows.length - 1, rows.length - 1);
+        }
+
+        this.logParseResult();
         return this.records;
     }
 
     /**
-     * Parse a CSV row handling quoted values
+     * Turn one tokenized CSV row into a record
+     * Short rows are padded and long rows trimmed, each with a parse error.
+     * @param {Array} headers - CSV headers
+     * @param {Object} row - { line, fields } from the tokenizer
+     * @param {number} index - Row index (the header is row 0), used as record id
+     * @returns {Object|null} Added record, or null for blank/invalid rows
+     */
+    addCSVRow(headers, { fields, line }, index) {
+        // Skip blank lines between records
+        if (fields.length === 1 && fields[0] === '') {
+            return null;
+        }
+
+        if (fields.length < headers.length) {
+            this.addParseError(line, `Expected ${headers.length} fields but found ${fields.length}; missing fields left empty`);
+            while (fields.length < headers.length) {
+                fields.push('');
+            }
+        } else if (fields.length > headers.length) {
+            this.addParseError(line, `Expected ${headers.length} fields but found ${fields.length}; extra fields ignored`);
+        }
+
+        const record = this.createRecord(headers, fields, index);
+        if (!record) {
+            this.addParseError(line, 'Record could not be created');
+            return null;
+        }
+
+        this.records.push(record);
+        this.extractMetadata(record);
+        return record;
+    }
+
+    /**
+     * Add the records of another catalog format (Discogs CSV, iTunes library XML, JSON)
+     * to those loaded; see CatalogImporter.read for the options
+     * @param {string} text - File contents
+     * @param {Object} options - { format, mapping, defaults }
+     * @returns {Object} { format, records, skipped } - the added records and the entries left out
+     * @throws {Error} When the file can't be read
+     */
+    importCatalog(text, options = {}) {
+        const { format, headers, rows, skipped } = new CatalogImporter(this).read(text, options);
+        const records = this.importRows(headers, rows);
+        return { format, records, skipped };
+    }
+
+    /**
+     * Add records from rows of record fields (see CatalogImporter.read)
+     * Ids continue after the highest loaded id, so imports can be merged into the catalog.
+     * @param {Array} headers - Record field names
+     * @param {Array} rows - { line, fields, custom } - custom values become custom fields
+     * @returns {Array} Added records
+     */
+    importRows(headers, rows) {
+        let nextId = this.records.reduce((max, record) => Math.max(max, Number(record.id) || 0), 0) + 1;
+        const records = [];
+
+        rows.forEach(({ line, fields, custom }) => {
+            const record = this.addCSVRow(headers, { line, fields: [...fields] }, nextId);
+            if (!record) return;
+
+            nextId++;
+            Object.entries(custom || {}).forEach(([key, value]) => {
+                record.customFields = record.customFields || {};
+                record.customFields[this.toFieldKey(key)] = value;
+            });
+            records.push(record);
+        });
+
+        this.searchIndex = null;
+        return records;
+    }
+
+    /**
+     * Report the outcome of a CSV parse on the console
+     */
+    logParseResult() {
+        if (this.parseErrors.length > 0) {
+            console.warn(`CSV parsed with ${this.parseErrors.length} issue(s)`, this.parseErrors);
+        }
+        console.log(`Processed ${this.records.length} records`);
+    }
+
+    /**
+     * Start parsing CSV that arrives in chunks (see appendCSV / endCSV)
+     */
+    beginCSV() {
+        this.csvStream = { tokenizer: new CSVTokenizer(), headers: null, rowIndex: 0 };
+        this.parseErrors = [];
+        this.searchIndex = null;
+    }
+
+    /**
+     * Parse the next chunk of streamed CSV
+     * @param {string} chunk - CSV text
+     * @returns {Array} Records completed by this chunk
+     */
+    appendCSV(chunk) {
+        return this.addCSVRows(this.csvStream.tokenizer.push(chunk));
+    }
+
+    /**
+     * Finish a streamed CSV parse
+     * @returns {Array} Records from the final row, if any
+     */
+    endCSV() {
+        const { tokenizer } = this.csvStream;
+        const records = this.addCSVRows(tokenizer.end());
+        tokenizer.errors.forEach(error => this.parseErrors.push(error));
+        this.csvStream = null;
+
+        this.logParseResult();
+        return records;
+    }
+
+    /**
+     * Add streamed rows; the first row seen is the header
+     * @param {Array} rows - Rows as { line, fields }
+     * @returns {Array} Added records
+     */
+    addCSVRows(rows) {
+        const stream = this.csvStream;
+        const records = [];
+
+        rows.forEach(row => {
+            const index = stream.rowIndex++;
+            if (index === 0) {
+                stream.headers = row.fields;
+                console.log('CSV Headers:', stream.headers);
+                return;
+            }
+
+            const record = this.addCSVRow(stream.headers, row, index);
+            if (record) {
+                records.push(record);
+            }
+        });
+
+        if (records.length > 0) {
+            this.searchIndex = null;
+        }
+        return records;
+    }
+
+    /**
+     * Split CSV text into rows of fields
+     * @param {string} csvData - Raw CSV string
+     * @returns {Object} { rows: [{ line, fields }], errors: [{ line, reason }] }
+     */
+    tokenizeCSV(csvData) {
+        const tokenizer = new CSVTokenizer();
+        const rows = tokenizer.push(csvData || '').concat(tokenizer.end());
+        return { rows, errors: tokenizer.errors };
+    }
+
+    /**
+     * Parse a single CSV row handling quoted values
      * @param {string} row - CSV row string
      * @returns {Array} Parsed values
      */
     parseCSVRow(row) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let i = 0; i < row.length; i++) {
-            const char = row[i];
-            
-            if (char === '"' && (i === 0 || row[i-1] === ',')) {
-                inQuotes = true;
-            } else if (char === '"' && inQuotes && (i === row.length - 1 || row[i+1] === ',')) {
-                inQuotes = false;
-            } else if (char === ',' && !inQuotes) {
-                result.push(current.trim());
-                current = '';
-            } else {
-                current += char;
+        const { rows } = this.tokenizeCSV(row);
+        return rows.length > 0 ? rows[0].fields : [''];
+    }
+
+    /**
+     * Record a CSV parsing problem
+     * @param {number} line - Line number in the source file (1-based)
+     * @param {string} reason - Description of the problem
+     */
+    addParseError(line, reason) {
+        this.parseErrors.push({ line, reason });
+    }
+
+    /**
+     * Get problems found by the last parseCSV call
+     * @returns {Array} Errors sorted by line number
+     */
+    getParseErrors() {
+        return [...this.parseErrors].sort((a, b) => a.line - b.line);
+    }
+
+    /**
+     * Normalize a header name for alias matching
+     * "Song_Title", "song-title" and " song title " all become "song title"
+     * @param {string} header - Raw header name
+     * @returns {string} Normalized header
+     */
+    normalizeHeader(header) {
+        return (header || '')
+            .toLowerCase()
+            .replace(/[_\-\s]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Map CSV headers to record fields using the schema aliases
+     * @param {Array} headers - CSV headers
+     * @returns {Object} Mapping with columns, custom columns, unknown and missing lists
+     */
+    resolveColumns(headers) {
+        const aliasLookup = new Map();
+        this.schema.forEach(definition => {
+            [definition.field, ...(definition.aliases || [])].forEach(alias => {
+                aliasLookup.set(this.normalizeHeader(alias), definition);
+            });
+        });
+
+        const columns = [];
+        const customColumns = [];
+        const unknown = [];
+        const mappedFields = new Set();
+
+        headers.forEach((header, index) => {
+            const definition = aliasLookup.get(this.normalizeHeader(header));
+
+            if (definition && !mappedFields.has(definition.field)) {
+                mappedFields.add(definition.field);
+                columns.push({ index, header, definition });
+            } else if (this.normalizeHeader(header)) {
+                // Unknown or duplicate columns are kept as custom fields
+                unknown.push(header);
+                customColumns.push({ index, header, key: this.toFieldKey(header) });
+            }
+        });
+
+        const missing = this.schema
+            .filter(definition => !mappedFields.has(definition.field))
+            .map(definition => ({ field: definition.field, required: !!definition.required }));
+
+        return { headers: [...headers], columns, customColumns, unknown, missing };
+    }
+
+    /**
+     * Get (and cache) the column mapping for a header row
+     * @param {Array} headers - CSV headers
+     * @returns {Object} Column mapping
+     */
+    getColumnMapping(headers) {
+        const key = headers.join('\u0000');
+        if (!this.columnMapping || this.columnMapping.key !== key) {
+            this.columnMapping = { key, ...this.resolveColumns(headers) };
+
+            if (this.columnMapping.unknown.length > 0) {
+                console.warn('Unknown CSV columns kept as custom fields:', this.columnMapping.unknown);
+            }
+            const missingRequired = this.columnMapping.missing.filter(m => m.required);
+            if (missingRequired.length > 0) {
+                console.warn('Required CSV columns missing:', missingRequired.map(m => m.field));
             }
         }
-        
-        result.push(current.trim());
-        return result;
+        return this.columnMapping;
+    }
+
+    /**
+     * Get a report of how the last CSV headers were mapped
+     * @returns {Object|null} Mapped, unknown and missing columns
+     */
+    getSchemaReport() {
+        if (!this.columnMapping) return null;
+
+        return {
+            mapped: this.columnMapping.columns.map(c => ({ header: c.header, field: c.definition.field })),
+            unknown: [...this.columnMapping.unknown],
+            missing: this.columnMapping.missing.map(m => ({ ...m }))
+        };
+    }
+
+    /**
+     * Convert a header name to a camelCase field key
+     * @param {string} header - Raw header name
+     * @returns {string} Field key
+     */
+    toFieldKey(header) {
+        return this.normalizeHeader(header)
+            .replace(/[^a-z0-9 ]/g, '')
+            .trim()
+            .replace(/ ([a-z0-9])/g, (match, char) => char.toUpperCase());
     }
 
     /**
@@ -75,34 +359,38 @@ class DataProcessor {
      */
     createRecord(headers, row, index) {
         try {
-            const record = {
-                id: index,
-                cover: row[0] || '',
-                artworkName: row[1] || '',
-                genre: row[2] || '',
-                artist: row[3] || '',
-                songTitle: row[4] || '',
-                artisticCategory: row[5] || '',
-                mood: row[6] || '',
-                colors: this.parseColors(row[7] || ''),
-                collections: this.parseCollections(row[8] || ''),
-                // Additional computed fields
-                searchTerms: '',
-                textureLoaded: false,
-                visible: true
-            };
+            const mapping = this.getColumnMapping(headers);
+            const record = { id: index };
+
+            // Every schema field exists on the record, even if its column is missing
+            this.schema.forEach(definition => {
+                record[definition.field] = this.parseFieldValue(definition, '');
+            });
+
+            mapping.columns.forEach(({ index: column, definition }) => {
+                record[definition.field] = this.parseFieldValue(definition, row[column] || '');
+            });
+
+            const customFields = {};
+            mapping.customColumns.forEach(({ index: column, key }) => {
+                if (row[column]) {
+                    customFields[key] = row[column];
+                }
+            });
+            if (Object.keys(customFields).length > 0) {
+                record.customFields = customFields;
+            }
+
+            // Fold genre, mood and color variants onto the taxonomy and color vocabulary
+            this.normalizeTaxonomy(record);
+            this.normalizeRelease(record);
+
+            // Additional computed fields
+            record.textureLoaded = false;
+            record.visible = true;
 
             // Create search terms for filtering
-            record.searchTerms = [
-                record.artworkName,
-                record.genre,
-                record.artist,
-                record.songTitle,
-                record.artisticCategory,
-                record.mood,
-                ...record.colors,
-                ...record.collections
-            ].join(' ').toLowerCase();
+            record.searchTerms = this.getSearchTerms(record);
 
             return record;
         } catch (error) {
@@ -112,9 +400,158 @@ class DataProcessor {
     }
 
     /**
-     * Parse color information from text
+     * Build the lowercase search text of a normalized record
+     * @param {Object} record - Record object
+     * @returns {string} Search terms
+     */
+    getSearchTerms(record) {
+        return [
+            record.artworkName,
+            record.genre,
+            record.artist,
+            record.songTitle,
+            record.artisticCategory,
+            record.mood,
+            ...(record.colors || []),
+            record.colorTemperature,
+            ...(record.colorTones || []),
+            ...(record.collections || []),
+            record.releaseYear,
+            record.decade ? this.getDecadeLabel(record.decade) : null
+        ].filter(Boolean).join(' ').toLowerCase();
+    }
+
+    /**
+     * Set the fields records.json carries for convenience but that follow from the others
+     * (search terms, display title, primary color, tags)
+     * @param {Object} record - Normalized record
+     * @returns {Object} The same record
+     */
+    addDerivedFields(record) {
+        record.searchTerms = this.getSearchTerms(record);
+        record.displayTitle = `${record.songTitle} by ${record.artist}`;
+        record.primaryColor = this.colorVocabulary.getPrimaryColor(record.colors);
+        record.tags = [...(record.collections || []), record.genre, ...record.moods].filter(Boolean);
+        return record;
+    }
+
+    /**
+     * Canonicalize genre, mood and color values in place
+     * @param {Object} record - Record object
+     * @returns {Object} The same record
+     */
+    normalizeTaxonomy(record) {
+        record.genre = this.taxonomy.canonicalGenre(record.genre);
+        record.moods = this.taxonomy.parseMoods(Array.isArray(record.moods) ? record.moods.join(', ') : record.mood);
+        record.mood = record.moods.join(', ');
+        this.normalizeColors(record);
+        return record;
+    }
+
+    /**
+     * Settle the release year and decade in place
+     * The decade follows the year when there is one; otherwise it comes from an era
+     * such as "1970s". Either is null when unknown.
+     * @param {Object} record - Record object
+     * @returns {Object} The same record
+     */
+    normalizeRelease(record) {
+        const year = typeof record.releaseYear === 'number' ? record.releaseYear : this.parseYear(record.releaseYear);
+        const decade = typeof record.decade === 'number' ? record.decade : this.parseDecade(record.decade);
+
+        record.releaseYear = Number.isInteger(year) ? year : null;
+        record.decade = record.releaseYear !== null ? Math.floor(record.releaseYear / 10) * 10
+            : Number.isInteger(decade) && decade % 10 === 0 ? decade : null;
+        return record;
+    }
+
+    /**
+     * Turn color phrases into canonical swatches in place
+     * Sets colors (swatch names), palette (their hex values, in the same order),
+     * colorTemperature and colorTones. Normalized records come out unchanged.
+     * @param {Object} record - Record object
+     * @returns {Object} The same record
+     */
+    normalizeColors(record) {
+        const phrases = Array.isArray(record.colors)
+            ? [...record.colors, record.colorTemperature, ...(record.colorTones || [])]
+            : record.colors;
+        const { colors, palette, temperature, tones } = this.colorVocabulary.parse(phrases);
+
+        record.colors = colors;
+        record.palette = palette.map(swatch => swatch.hex);
+        record.colorTemperature = temperature;
+        record.colorTones = tones;
+        return record;
+    }
+
+    /**
+     * Load already-structured records (e.g. from records.json)
+     * @param {Array} records - Record objects
+     * @param {Object} options - { normalize: false } skips taxonomy normalization for records
+     *   that were already normalized (e.g. by the data worker)
+     * @returns {Array} Loaded records
+     */
+    setRecords(records, options = {}) {
+        this.records = [];
+        this.genres.clear();
+        this.artists.clear();
+        this.moods.clear();
+        this.collections.clear();
+        this.colors.clear();
+        this.temperatures.clear();
+        this.tones.clear();
+        this.categories.clear();
+        this.decades.clear();
+        this.years.clear();
+
+        this.appendRecords(records, options);
+        return this.records;
+    }
+
+    /**
+     * Add already-structured records to those loaded (e.g. while streaming records.json)
+     * @param {Array} records - Record objects
+     * @param {Object} options - { normalize: false } skips taxonomy normalization
+     * @returns {Array} The added records
+     */
+    appendRecords(records, options = {}) {
+        this.searchIndex = null;
+
+        records.forEach(record => {
+            if (options.normalize !== false) {
+                this.normalizeTaxonomy(record);
+                this.normalizeRelease(record);
+
+                // Compact files leave derived fields out (see CompactDataset)
+                if (record.searchTerms === undefined) {
+                    this.addDerivedFields(record);
+                }
+            }
+            this.records.push(record);
+            this.extractMetadata(record);
+        });
+
+        return records;
+    }
+
+    /**
+     * Convert a raw cell value according to its schema definition
+     * @param {Object} definition - Schema field definition
+     * @param {string} value - Raw cell value
+     * @returns {*} Parsed value
+     */
+    parseFieldValue(definition, value) {
+        if (definition.parser) {
+            return this[definition.parser](value);
+        }
+        return value;
+    }
+
+    /**
+     * Split color text into phrases (made canonical by normalizeColors)
      * @param {string} colorText - Color description
-     * @returns {Array} Array of color names
+     * @returns {Array} Array of color phrases
      */
     parseColors(colorText) {
         if (!colorText) return [];
@@ -126,6 +563,42 @@ class DataProcessor {
             .filter(color => color.length > 0);
     }
 
+    /**
+     * Read a release year from text ("1972", "1972-05-01", "May 1972")
+     * @param {string} yearText - Release year or date
+     * @returns {number|null} Year, null when there is none
+     */
+    parseYear(yearText) {
+        const match = String(yearText || '').match(/\b(1[89]\d\d|20\d\d)\b/);
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    /**
+     * Read a decade from an era ("1970s", "1970's", "'70s", "70s")
+     * Two-digit decades are read as the 1900s, except 00s-20s, which are the 2000s.
+     * @param {string} eraText - Era or decade
+     * @returns {number|null} First year of the decade, null when there is none
+     */
+    parseDecade(eraText) {
+        const text = String(eraText || '');
+        const full = text.match(/\b(1[89]\d0|20\d0)'?s?\b/);
+        if (full) return parseInt(full[1], 10);
+
+        const short = text.match(/(?:^|[\s'’])(\d)0'?s\b/);
+        if (!short) return null;
+        const tens = parseInt(short[1], 10);
+        return tens <= 2 ? 2000 + tens * 10 : 1900 + tens * 10;
+    }
+
+    /**
+     * Label a decade as facet options show it
+     * @param {number} decade - First year of the decade
+     * @returns {string} e.g. "1970s"
+     */
+    getDecadeLabel(decade) {
+        return `${decade}s`;
+    }
+
     /**
      * Parse collection tags from text
      * @param {string} collectionText - Collection description
@@ -146,10 +619,19 @@ class DataProcessor {
      * @param {Object} record - Record object
      */
     extractMetadata(record) {
-        if (record.genre) this.genres.add(record.genre);
+        // Parent genres are listed too so a whole family can be picked
+        if (record.genre) {
+            this.taxonomy.getGenreLineage(record.genre).forEach(genre => this.genres.add(genre));
+        }
         if (record.artist) this.artists.add(record.artist);
-        if (record.mood) this.moods.add(record.mood);
+        (record.moods || []).forEach(mood => this.moods.add(mood));
         record.collections.forEach(col => this.collections.add(col));
+        this.colorVocabulary.getFamilies(record.colors).forEach(color => this.colors.add(color));
+        if (record.colorTemperature) this.temperatures.add(record.colorTemperature);
+        (record.colorTones || []).forEach(tone => this.tones.add(tone));
+        this.parseCategories(record.artisticCategory).forEach(category => this.categories.add(category));
+        if (record.decade) this.decades.add(record.decade);
+        if (record.releaseYear) this.years.add(record.releaseYear);
     }
 
     /**
@@ -158,65 +640,469 @@ class DataProcessor {
      */
     getFilterOptions() {
         return {
-            genres: Array.from(this.genres).sort(),
+            genres: this.taxonomy.sortGenres(this.genres),
             artists: Array.from(this.artists).sort(),
             moods: Array.from(this.moods).sort(),
-            collections: Array.from(this.collections).sort()
+            collections: Array.from(this.collections).sort(),
+            colors: Array.from(this.colors).sort((a, b) =>
+                this.colorVocabulary.getSortKey(a) - this.colorVocabulary.getSortKey(b) || a.localeCompare(b)),
+            temperatures: DataProcessor.COLOR_TEMPERATURES.filter(temperature => this.temperatures.has(temperature)),
+            tones: Array.from(this.tones).sort(),
+            categories: Array.from(this.categories).sort(),
+            decades: Array.from(this.decades).sort((a, b) => a - b).map(decade => this.getDecadeLabel(decade)),
+            yearRange: this.years.size > 0
+                ? { min: Math.min(...this.years), max: Math.max(...this.years) }
+                : null
         };
     }
 
+    /**
+     * Get the search index, building it on first use after the records change
+     * @returns {SearchIndex} Search index
+     */
+    getSearchIndex() {
+        if (!this.searchIndex) {
+            this.searchIndex = new SearchIndex().build(this.records);
+        }
+        return this.searchIndex;
+    }
+
+    /**
+     * Full-text search over all records
+     * @param {string} query - Search query
+     * @returns {Array} Matching records, most relevant first
+     */
+    searchRecords(query) {
+        return this.getSearchIndex().search(query).map(result => result.record);
+    }
+
+    /**
+     * Parse a search box query into structured filters
+     * @param {string} query - Query such as 'artist:"Tame Impala" -genre:indie'
+     * @returns {Object} Parsed query ({ text, groups, errors }, see QueryParser.parse)
+     */
+    parseQuery(query) {
+        return this.queryParser.parse(query);
+    }
+
+    /**
+     * Check whether a record satisfies one query term
+     * @param {Object} record - Record object
+     * @param {Object} term - { field, value, negate }
+     * @param {Map} textMatches - Cache of free-text result sets by value
+     * @returns {boolean} Record matches
+     */
+    matchesQueryTerm(record, term, textMatches) {
+        const value = term.value.toLowerCase();
+        let matches;
+
+        switch (term.field) {
+            case null:
+                if (!textMatches.has(term.value)) {
+                    textMatches.set(term.value, new Set(this.searchRecords(term.value)));
+                }
+                matches = textMatches.get(term.value).has(record);
+                break;
+            case 'genre':
+                matches = this.matchesGenre(record, term.value);
+                break;
+            case 'mood':
+                matches = this.matchesMood(record, term.value);
+                break;
+            case 'colors':
+                matches = [
+                    ...this.getFacetValues(record, 'color'),
+                    record.colorTemperature,
+                    ...(record.colorTones || [])
+                ].some(color => color && color.includes(value));
+                break;
+            case 'collections':
+                matches = (record.collections || []).includes(value);
+                break;
+            case 'releaseYear':
+                matches = this.matchesYearTerm(record, value);
+                break;
+            case 'decade': {
+                const decade = this.parseDecade(value);
+                matches = decade !== null && record.decade === decade;
+                break;
+            }
+            default:
+                matches = (record[term.field] || '').toLowerCase().includes(value);
+        }
+
+        return term.negate ? !matches : matches;
+    }
+
+    /**
+     * Check a record against a year query term ("1972", "1970-1979", "1970s")
+     * @param {Object} record - Record object
+     * @param {string} value - Term value
+     * @returns {boolean} Record matches
+     */
+    matchesYearTerm(record, value) {
+        if (!record.releaseYear) return false;
+
+        const range = value.match(/^(\d{4})\s*(?:-|\.\.)\s*(\d{4})$/);
+        if (range) {
+            return record.releaseYear >= parseInt(range[1], 10) && record.releaseYear <= parseInt(range[2], 10);
+        }
+        if (/^\d{4}$/.test(value)) {
+            return record.releaseYear === parseInt(value, 10);
+        }
+        const decade = this.parseDecade(value);
+        return decade !== null && record.decade === decade;
+    }
+
     /**
      * Filter records based on criteria
+     * filters.search accepts the query language (see QueryParser). With free
+     * text the result is ordered by relevance, otherwise by record order.
+     * A query with syntax errors falls back to plain free-text search of its words.
+     * Facet keys (see DataProcessor.FACETS) take a single value or an array.
      * @param {Object} filters - Filter criteria
      * @returns {Array} Filtered records
      */
     filterRecords(filters = {}) {
-        return this.records.filter(record => {
-            // Text search - handle both searchTerms field and manual search
-            if (filters.search) {
-                const searchTerm = filters.search.toLowerCase();
-                const searchableText = record.searchTerms || 
-                    [record.artworkName, record.genre, record.artist, record.songTitle, 
-                     record.artisticCategory, record.mood, 
-                     ...(record.colors || []), ...(record.collections || [])].join(' ').toLowerCase();
-                
-                if (!searchableText.includes(searchTerm)) {
-                    return false;
+        let candidates = this.records;
+        let groups = [];
+
+        if (filters.search && filters.search.trim()) {
+            const query = this.parseQuery(filters.search);
+            if (query.errors.length > 0) {
+                const text = this.queryParser.getPlainText(filters.search);
+                if (text) {
+                    candidates = this.searchRecords(text);
+                }
+            } else {
+                // Plain free-text terms are already covered by the ranked search
+                groups = query.groups.filter(group => !(group.length === 1 && group[0].field === null && !group[0].negate));
+                if (query.text) {
+                    candidates = this.searchRecords(query.text);
                 }
             }
+        }
 
-            // Genre filter
-            if (filters.genre && record.genre !== filters.genre) {
-                return false;
-            }
+        const textMatches = new Map();
 
-            // Artist filter
-            if (filters.artist && record.artist !== filters.artist) {
+        return candidates.filter(record => {
+            // Query terms: AND across groups, OR within a group
+            if (!groups.every(group => group.some(term => this.matchesQueryTerm(record, term, textMatches)))) {
                 return false;
             }
 
-            // Mood filter
-            if (filters.mood && record.mood !== filters.mood) {
-                return false;
-            }
+            return this.matchesFacets(record, filters);
+        });
+    }
 
-            // Collection filter
-            if (filters.collection && !(record.collections || []).includes(filters.collection)) {
-                return false;
-            }
+    /**
+     * Check a record against every facet in a filter object
+     * OR within a facet (or AND with facetModes[facet] = 'all'), AND across facets
+     * @param {Object} record - Record object
+     * @param {Object} filters - Filter criteria
+     * @param {string} skipFacet - Facet to leave out (used for facet counts)
+     * @returns {boolean} Record matches
+     */
+    matchesFacets(record, filters, skipFacet = null) {
+        const facetModes = filters.facetModes || {};
+        return this.matchesYearRange(record, filters) && this.matchesArrival(record, filters) &&
+            Object.keys(DataProcessor.FACETS).every(facet =>
+                facet === skipFacet || this.matchesFacet(record, facet, filters[facet], facetModes[facet], filters)
+            );
+    }
 
-            return true;
+    /**
+     * Check a record against the release year range (filters.yearFrom / filters.yearTo)
+     * Records without a year only match when no range is set.
+     * @param {Object} record - Record object
+     * @param {Object} filters - Filter criteria
+     * @returns {boolean} Record matches
+     */
+    matchesYearRange(record, filters) {
+        const { yearFrom, yearTo } = filters;
+        if (!yearFrom && !yearTo) return true;
+        if (!record.releaseYear) return false;
+        return (!yearFrom || record.releaseYear >= yearFrom) && (!yearTo || record.releaseYear <= yearTo);
+    }
+
+    /**
+     * Check whether a record arrived after filters.newSince (an ISO 8601 time)
+     * Records from before change tracking began have no addedAt and never count as new.
+     * @param {Object} record - Record object
+     * @param {Object} filters - Filter criteria
+     * @returns {boolean} Record matches
+     */
+    matchesArrival(record, filters) {
+        return !filters.newSince || (!!record.addedAt && record.addedAt > filters.newSince);
+    }
+
+    /**
+     * Count, for every facet option, how many records would match if it were selected
+     * Each facet is counted against the other active filters. In 'any' mode the
+     * facet's own selection is ignored (picking another value widens the result);
+     * in 'all' mode it is kept (picking another value narrows it).
+     * @param {Object} filters - Current filter criteria
+     * @returns {Object} Counts by facet, then by option value
+     */
+    getFacetCounts(filters = {}) {
+        const searchMatches = filters.search ? this.filterRecords({ search: filters.search }) : this.records;
+        const facetModes = filters.facetModes || {};
+        const counts = {};
+
+        Object.keys(DataProcessor.FACETS).forEach(facet => {
+            const keepOwnSelection = facetModes[facet] === 'all';
+            const facetCounts = {};
+
+            searchMatches.forEach(record => {
+                if (!this.matchesFacets(record, filters, keepOwnSelection ? null : facet)) {
+                    return;
+                }
+                this.getFacetCountKeys(record, facet, filters).forEach(value => {
+                    facetCounts[value] = (facetCounts[value] || 0) + 1;
+                });
+            });
+
+            counts[facet] = facetCounts;
         });
+
+        return counts;
+    }
+
+    /**
+     * Get the option values a record counts towards for a facet
+     * Genres count towards their parents too, matching how the genre filter works.
+     * @param {Object} record - Record object
+     * @param {string} facet - Facet name
+     * @param {Object} filters - Filter criteria (for includeSubgenres)
+     * @returns {Array} Option values
+     */
+    getFacetCountKeys(record, facet, filters = {}) {
+        if (facet === 'genre') {
+            if (!record.genre) return [];
+            return filters.includeSubgenres === false ? [record.genre] : this.taxonomy.getGenreLineage(record.genre);
+        }
+        if (facet === 'category') {
+            return this.parseCategories(record.artisticCategory);
+        }
+        return this.getFacetValues(record, facet);
+    }
+
+    /**
+     * Check a record against the selected values of one facet
+     * @param {Object} record - Record object
+     * @param {string} facet - Facet name (see DataProcessor.FACETS)
+     * @param {string|Array} selected - Selected value(s); empty means no constraint
+     * @param {string} mode - 'any' (default) or 'all'
+     * @param {Object} filters - Full filter object (for includeSubgenres)
+     * @returns {boolean} Record matches
+     */
+    matchesFacet(record, facet, selected, mode = 'any', filters = {}) {
+        const values = (Array.isArray(selected) ? selected : [selected]).filter(Boolean);
+        if (values.length === 0) return true;
+
+        const test = value => this.matchesFacetValue(record, facet, value, filters);
+        return mode === 'all' ? values.every(test) : values.some(test);
+    }
+
+    /**
+     * Check whether a record has a single facet value
+     * @param {Object} record - Record object
+     * @param {string} facet - Facet name
+     * @param {string} value - Facet value
+     * @param {Object} filters - Full filter object (for includeSubgenres)
+     * @returns {boolean} Record matches
+     */
+    matchesFacetValue(record, facet, value, filters = {}) {
+        switch (facet) {
+            case 'genre':
+                return this.matchesGenre(record, value, filters.includeSubgenres !== false);
+            case 'mood':
+                return this.matchesMood(record, value);
+            default:
+                return this.getFacetValues(record, facet).includes(
+                    DataProcessor.FACETS[facet].caseSensitive ? value : value.toLowerCase()
+                );
+        }
+    }
+
+    /**
+     * Get the values a record has for a facet
+     * @param {Object} record - Record object
+     * @param {string} facet - Facet name
+     * @returns {Array} Facet values
+     */
+    getFacetValues(record, facet) {
+        switch (facet) {
+            case 'genre':
+                return record.genre ? [record.genre] : [];
+            case 'artist':
+                return record.artist ? [record.artist] : [];
+            case 'mood':
+                return record.moods || this.taxonomy.parseMoods(record.mood);
+            case 'collection':
+                return record.collections || [];
+            case 'color':
+                // Swatches count towards their family too, so "blue" includes "navy"
+                return this.colorVocabulary.getFamilies(record.colors);
+            case 'temperature':
+                return record.colorTemperature ? [record.colorTemperature] : [];
+            case 'tone':
+                return record.colorTones || [];
+            case 'category':
+                return this.parseCategories(record.artisticCategory).map(category => category.toLowerCase());
+            case 'decade':
+                return record.decade ? [this.getDecadeLabel(record.decade)] : [];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Split an artistic category cell ("Abstract, Nature", "Abstract And Surreal")
+     * @param {string} categoryText - Raw category text
+     * @returns {Array} Title-cased categories
+     */
+    parseCategories(categoryText) {
+        if (!categoryText) return [];
+
+        return categoryText
+            .split(/[,;\/&]|\band\b/i)
+            .map(category => this.taxonomy.toTitleCase(category))
+            .filter(category => category.length > 0);
+    }
+
+    /**
+     * Check whether a record belongs to a genre
+     * @param {Object} record - Record object
+     * @param {string} genre - Genre to match
+     * @param {boolean} includeSubgenres - Also match subgenres of the genre
+     * @returns {boolean} Record matches
+     */
+    matchesGenre(record, genre, includeSubgenres = true) {
+        return this.taxonomy.isGenreWithin(record.genre, genre, includeSubgenres);
+    }
+
+    /**
+     * Check whether a record carries a mood
+     * @param {Object} record - Record object
+     * @param {string} mood - Mood to match
+     * @returns {boolean} Record matches
+     */
+    matchesMood(record, mood) {
+        const moods = record.moods || this.taxonomy.parseMoods(record.mood);
+        return moods.includes(this.taxonomy.canonicalMood(mood));
     }
 
     /**
      * Get random records for initial display
      * @param {number} count - Number of records to return
+     * @param {number} seed - Shuffle seed; the same seed gives the same records
      * @returns {Array} Random records
      */
-    getRandomRecords(count = 50) {
-        const shuffled = [...this.records].sort(() => 0.5 - Math.random());
-        return shuffled.slice(0, count);
+    getRandomRecords(count = 50, seed = DataProcessor.createSeed()) {
+        return this.sortRecords(this.records, 'shuffle', { seed }).slice(0, count);
+    }
+
+    /**
+     * Order records by a sort mode (see DataProcessor.SORT_MODES)
+     * Every mode is deterministic. 'shuffle' orders by a per-record hash of the
+     * seed, so narrowing the filters keeps the remaining records in the same
+     * relative order. 'relevance' keeps the incoming (search-ranked) order when
+     * there is a search, otherwise it shuffles.
+     * @param {Array} records - Records to order (not modified)
+     * @param {string} mode - Sort mode
+     * @param {Object} options - { seed, hasSearch }
+     * @returns {Array} Ordered copy
+     */
+    sortRecords(records, mode = 'relevance', options = {}) {
+        const seed = options.seed || 0;
+
+        if (mode === 'relevance') {
+            return options.hasSearch ? [...records] : this.sortRecords(records, 'shuffle', options);
+        }
+
+        if (mode === 'shuffle') {
+            const keys = new Map(records.map(record => [record, this.hashRecord(record, seed)]));
+            return [...records].sort((a, b) => keys.get(a) - keys.get(b) || this.compareIds(a, b));
+        }
+
+        // Oldest first, records without a release year last
+        if (mode === 'decades') {
+            return [...records].sort((a, b) =>
+                (a.releaseYear || Infinity) - (b.releaseYear || Infinity) ||
+                this.compareText(a.artist, b.artist) || this.compareText(a.songTitle, b.songTitle) ||
+                this.compareIds(a, b));
+        }
+
+        // Around the color wheel by each record's first color; records without colors last
+        if (mode === 'color') {
+            const keys = new Map(records.map(record =>
+                [record, this.colorVocabulary.getSortKey((record.colors || [])[0])]));
+            return [...records].sort((a, b) => (keys.get(a) - keys.get(b) || 0) || this.compareIds(a, b));
+        }
+
+        const spec = DataProcessor.SORT_MODES[mode];
+        if (!spec || !spec.fields) {
+            console.warn(`Unknown sort mode "${mode}", keeping record order`);
+            return [...records];
+        }
+
+        // Grouped by index first; records without one (-1) last
+        const indexOf = record => record[spec.index] >= 0 ? record[spec.index] : Infinity;
+        return [...records].sort((a, b) => {
+            if (spec.index && indexOf(a) !== indexOf(b)) {
+                return indexOf(a) - indexOf(b);
+            }
+            for (const field of spec.fields) {
+                const result = this.compareText(a[field], b[field]);
+                if (result !== 0) return result;
+            }
+            return this.compareIds(a, b);
+        });
+    }
+
+    /**
+     * Compare two text values; empty values sort last
+     * @param {string} a - First value
+     * @param {string} b - Second value
+     * @returns {number} Comparison result
+     */
+    compareText(a, b) {
+        if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+        return a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true });
+    }
+
+    /**
+     * Compare record ids as a final tie-breaker
+     * @param {Object} a - First record
+     * @param {Object} b - Second record
+     * @returns {number} Comparison result
+     */
+    compareIds(a, b) {
+        return String(a.id).localeCompare(String(b.id), undefined, { numeric: true });
+    }
+
+    /**
+     * Hash a record id with a seed (FNV-1a followed by a murmur-style mix)
+     * @param {Object} record - Record object
+     * @param {number} seed - Shuffle seed
+     * @returns {number} Unsigned 32-bit hash
+     */
+    hashRecord(record, seed) {
+        const text = `${seed}:${record.id}:${record.cover || ''}`;
+        let hash = 0x811c9dc5;
+
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        hash ^= hash >>> 16;
+        hash = Math.imul(hash, 0x85ebca6b);
+        hash ^= hash >>> 13;
+        hash = Math.imul(hash, 0xc2b2ae35);
+        hash ^= hash >>> 16;
+        return hash >>> 0;
     }
 
     /**
@@ -246,6 +1132,56 @@ class DataProcessor {
                record.genre;
     }
 
+    /**
+     * Order top-level genres and moods for the genreIndex/moodIndex positioning hints
+     * New values are ranked by how many records they have (ties by name); values of a
+     * previous order keep their place, even once no record uses them, so the indexes
+     * of an updated catalog match those of the one it replaces.
+     * @param {Object} previous - { genres, moods } order of the previous dataset
+     * @returns {Object} { genres, moods } - a record's index is its position in these lists
+     */
+    getIndexOrder(previous = {}) {
+        const genreCounts = new Map();
+        const moodCounts = new Map();
+        const count = (counts, value) => {
+            if (value) counts.set(value, (counts.get(value) || 0) + 1);
+        };
+
+        this.records.forEach(record => {
+            count(genreCounts, this.taxonomy.getRootGenre(record.genre));
+            (record.moods || []).forEach(mood => count(moodCounts, mood));
+        });
+
+        const extend = (order, counts) => {
+            const kept = (order || []).filter((value, index, list) => list.indexOf(value) === index);
+            const added = Array.from(counts.keys())
+                .filter(value => !kept.includes(value))
+                .sort((a, b) => counts.get(b) - counts.get(a) || this.compareText(a, b));
+            return [...kept, ...added];
+        };
+
+        return {
+            genres: extend(previous.genres, genreCounts),
+            moods: extend(previous.moods, moodCounts)
+        };
+    }
+
+    /**
+     * Set the genreIndex and moodIndex positioning hints of records
+     * genreIndex is the position of the record's top-level genre and moodIndex that of
+     * its first mood in an order from getIndexOrder; -1 when the record has none.
+     * @param {Array} records - Records (modified in place)
+     * @param {Object} order - { genres, moods } from getIndexOrder
+     * @returns {Array} The records
+     */
+    addIndexes(records, order) {
+        records.forEach(record => {
+            record.genreIndex = order.genres.indexOf(this.taxonomy.getRootGenre(record.genre));
+            record.moodIndex = order.moods.indexOf((record.moods || [])[0]);
+        });
+        return records;
+    }
+
     /**
      * Get stats about the dataset
      * @returns {Object} Dataset statistics
@@ -257,10 +1193,74 @@ class DataProcessor {
             artists: this.artists.size,
             moods: this.moods.size,
             collections: this.collections.size,
+            decades: this.decades.size,
             validRecords: this.records.filter(r => this.isValidRecord(r)).length
         };
     }
 }
 
+/**
+ * Default column schema for DiggerDB.csv
+ * Each field lists the header aliases it accepts; aliases are matched
+ * after normalizeHeader, so case, spaces, "_" and "-" don't matter.
+ */
+DataProcessor.DEFAULT_SCHEMA = [
+    { field: 'cover', aliases: ['cover url', 'cover image', 'image', 'image url'], required: true },
+    { field: 'artworkName', aliases: ['artwork name', 'artwork', 'artwork title'] },
+    { field: 'genre', aliases: ['song genre', 'genre'], required: true },
+    { field: 'artist', aliases: ['artist name'], required: true },
+    { field: 'songTitle', aliases: ['song title', 'title', 'song', 'track', 'track title'], required: true },
+    { field: 'artisticCategory', aliases: ['artistic category', 'category', 'art category'] },
+    { field: 'mood', aliases: ['moods'] },
+    // DiggerDB.csv's "year" column holds color descriptions
+    { field: 'colors', aliases: ['color', 'colours', 'colour', 'year'], parser: 'parseColors' },
+    { field: 'collections', aliases: ['collection', 'tags'], parser: 'parseCollections' },
+    // Not "year", which DiggerDB.csv uses for colors
+    { field: 'releaseYear', aliases: ['release year', 'released', 'year released', 'release date'], parser: 'parseYear' },
+    { field: 'decade', aliases: ['era', 'release decade'], parser: 'parseDecade' }
+];
+
+/**
+ * Filter facets: filters[facet] takes a value or an array of values
+ */
+DataProcessor.FACETS = {
+    genre: { label: 'Genre', option: 'genres' },
+    artist: { label: 'Artist', option: 'artists', caseSensitive: true },
+    mood: { label: 'Mood', option: 'moods' },
+    collection: { label: 'Collection', option: 'collections' },
+    color: { label: 'Color', option: 'colors' },
+    temperature: { label: 'Temperature', option: 'temperatures' },
+    tone: { label: 'Tone', option: 'tones' },
+    category: { label: 'Category', option: 'categories' },
+    decade: { label: 'Decade', option: 'decades' }
+};
+
+/**
+ * Record orderings offered in the UI
+ * fields: text fields compared in turn; index: a grouping index compared first
+ * (see addIndexes), so records of a top-level genre or mood share crates.
+ */
+DataProcessor.SORT_MODES = {
+    relevance: { label: 'Best match' },
+    shuffle: { label: 'Shuffle' },
+    artist: { label: 'Artist A–Z', fields: ['artist', 'songTitle'] },
+    title: { label: 'Title A–Z', fields: ['songTitle', 'artist'] },
+    genre: { label: 'Genre', index: 'genreIndex', fields: ['genre', 'artist', 'songTitle'] },
+    mood: { label: 'Mood', index: 'moodIndex', fields: ['mood', 'artist', 'songTitle'] },
+    decades: { label: 'Through the decades' },
+    color: { label: 'Color' }
+};
+
+/**
+ * Color temperatures in display order
+ */
+DataProcessor.COLOR_TEMPERATURES = ['warm', 'cool', 'mixed', 'neutral'];
+
+/**
+ * Create a random shuffle seed
+ * @returns {number} Seed between 1 and 999999
+ */
+DataProcessor.createSeed = () => 1 + Math.floor(Math.random() * 999999);
+
 // Export for use in other modules
 window.DataProcessor = DataProcessor;
\ No newline at end of file
@@ -0,0 +1,206 @@
+/**
+ * Catalog version comparison for DIGGGIN record database
+ * Matches the records of a new conversion with those of the previous records.json
+ * and reports what was added, removed and modified, field by field. Record ids are
+ * row numbers, so records are matched by cover URL and by artist and title instead.
+ */
+
+class DatasetDiff {
+    /**
+     * @param {Object} options - Diff options
+     * @param {Array} options.fields - Fields compared (defaults to DatasetDiff.FIELDS)
+     */
+    constructor(options = {}) {
+        this.fields = options.fields || DatasetDiff.FIELDS;
+    }
+
+    /**
+     * Compare two sets of records
+     * Records sharing a cover are paired first (by artist and title when several share
+     * it); the rest are paired by artist and title, so a replaced cover is a modification.
+     * @param {Array} previousRecords - Records of the previous dataset
+     * @param {Array} records - Records of the new dataset
+     * @returns {Object} { added, removed, modified, unchanged, pairs } - added and removed are records,
+     *   modified lists { record, previous, changes } with changes as { field, before, after },
+     *   unchanged is a count and pairs lists every matched { previous, record }
+     */
+    compare(previousRecords, records) {
+        const pairs = [];
+        const unmatchedPrevious = new Set(previousRecords);
+        const unmatched = new Set(records);
+
+        const pairBy = getKey => {
+            const byKey = new Map();
+            unmatchedPrevious.forEach(record => {
+                const key = getKey(record);
+                if (!key) return;
+                if (!byKey.has(key)) byKey.set(key, []);
+                byKey.get(key).push(record);
+            });
+            unmatched.forEach(record => {
+                const candidates = byKey.get(getKey(record));
+                if (!candidates || candidates.length === 0) return;
+                const previous = candidates.shift();
+                pairs.push({ previous, record });
+                unmatchedPrevious.delete(previous);
+                unmatched.delete(record);
+            });
+        };
+
+        pairBy(record => record.cover && `${record.cover}\u0000${this.getTitleKey(record)}`);
+        pairBy(record => record.cover);
+        pairBy(record => this.getTitleKey(record));
+
+        const modified = [];
+        let unchanged = 0;
+        pairs.forEach(({ previous, record }) => {
+            const changes = this.compareRecords(previous, record);
+            if (changes.length > 0) {
+                modified.push({ record, previous, changes });
+            } else {
+                unchanged++;
+            }
+        });
+
+        return {
+            added: records.filter(record => unmatched.has(record)),
+            removed: previousRecords.filter(record => unmatchedPrevious.has(record)),
+            modified: modified.sort((a, b) => records.indexOf(a.record) - records.indexOf(b.record)),
+            unchanged,
+            pairs
+        };
+    }
+
+    /**
+     * Build the artist and title key records are matched by
+     * @param {Object} record - Record
+     * @returns {string} Case-folded key, '' without artist or title
+     */
+    getTitleKey(record) {
+        if (!record.artist || !record.songTitle) return '';
+        return `${record.artist}\u0000${record.songTitle}`.toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * List the compared fields that differ between two versions of a record
+     * @param {Object} previous - Previous version
+     * @param {Object} record - New version
+     * @returns {Array} Changes as { field, before, after }
+     */
+    compareRecords(previous, record) {
+        const changes = [];
+        this.fields.forEach(field => {
+            const before = this.normalizeValue(previous[field]);
+            const after = this.normalizeValue(record[field]);
+            if (JSON.stringify(before) !== JSON.stringify(after)) {
+                changes.push({ field, before, after });
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * Treat missing and empty values alike
+     * @param {*} value - Field value
+     * @returns {*} Value, null when empty
+     */
+    normalizeValue(value) {
+        if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+            return null;
+        }
+        return value;
+    }
+
+    /**
+     * Date each record was first seen
+     * Records matched with the previous dataset keep its date (none when it had none);
+     * new records are dated now.
+     * @param {Object} diff - Result of compare
+     * @param {string} generatedAt - Time of the new conversion (ISO 8601)
+     */
+    stampArrivals(diff, generatedAt) {
+        diff.pairs.forEach(({ previous, record }) => {
+            if (previous.addedAt) record.addedAt = previous.addedAt;
+        });
+        diff.added.forEach(record => {
+            record.addedAt = generatedAt;
+        });
+    }
+
+    /**
+     * Summarize a diff for the dataset's changelog
+     * @param {Object} diff - Result of compare
+     * @param {Object} options - { generatedAt, since } - times of the new and previous conversions
+     * @returns {Object} { generatedAt, since, added, removed, modified, fields, arrivals, departures } -
+     *   counts, changes per field, and (up to DatasetDiff.MAX_LISTED_RECORDS) who arrived and left
+     */
+    summarize(diff, options = {}) {
+        const fields = {};
+        diff.modified.forEach(({ changes }) => changes.forEach(({ field }) => {
+            fields[field] = (fields[field] || 0) + 1;
+        }));
+        const describe = record => ({ id: record.id, artist: record.artist, songTitle: record.songTitle });
+
+        return {
+            generatedAt: options.generatedAt || null,
+            since: options.since || null,
+            added: diff.added.length,
+            removed: diff.removed.length,
+            modified: diff.modified.length,
+            fields,
+            arrivals: diff.added.slice(0, DatasetDiff.MAX_LISTED_RECORDS).map(describe),
+            departures: diff.removed.slice(0, DatasetDiff.MAX_LISTED_RECORDS).map(describe)
+        };
+    }
+
+    /**
+     * Put a summary at the head of a changelog
+     * @param {Array} changelog - Previous changelog, newest first
+     * @param {Object} entry - Result of summarize
+     * @returns {Array} Changelog of at most DatasetDiff.CHANGELOG_LENGTH entries
+     */
+    extendChangelog(changelog, entry) {
+        return [entry, ...(changelog || [])].slice(0, DatasetDiff.CHANGELOG_LENGTH);
+    }
+
+    /**
+     * Describe a diff as a detailed, JSON-safe report (e.g. for a review before deploying)
+     * @param {Object} diff - Result of compare
+     * @returns {Object} { added, removed, modified } - modified as { id, previousId, artist, songTitle, changes }
+     */
+    toReport(diff) {
+        const describe = record => ({ id: record.id, artist: record.artist, songTitle: record.songTitle, cover: record.cover });
+        return {
+            added: diff.added.map(describe),
+            removed: diff.removed.map(describe),
+            modified: diff.modified.map(({ record, previous, changes }) => ({
+                id: record.id,
+                previousId: previous.id,
+                artist: record.artist,
+                songTitle: record.songTitle,
+                changes
+            }))
+        };
+    }
+}
+
+/**
+ * Record fields compared between versions (derived fields follow from these)
+ */
+DatasetDiff.FIELDS = [
+    'cover', 'artworkName', 'genre', 'artist', 'songTitle', 'artisticCategory',
+    'moods', 'colors', 'collections', 'releaseYear', 'decade', 'customFields'
+];
+
+/**
+ * Changelog entries kept in the dataset metadata, newest first
+ */
+DatasetDiff.CHANGELOG_LENGTH = 20;
+
+/**
+ * Arrivals and departures named per changelog entry
+ */
+DatasetDiff.MAX_LISTED_RECORDS = 50;
+
+// Export for use in other modules
+window.DatasetDiff = DatasetDiff;
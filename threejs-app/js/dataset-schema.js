@@ -0,0 +1,411 @@
+/**
+ * Dataset file schema for DIGGGIN record database
+ * Describes the records.json document written by DataConverter, checks files
+ * as they load and upgrades older versions in memory, so cached or deployed
+ * files keep working after the record shape changes.
+ *
+ * Versions follow semver: files of the current major version load (newer minor
+ * versions may carry fields this app ignores); older versions are migrated step
+ * by step through DatasetSchema.MIGRATIONS; newer major versions are refused.
+ */
+
+class DatasetSchema {
+    /**
+     * @param {Object} options - Schema options
+     * @param {string} options.version - Version records are upgraded to (defaults to DatasetSchema.VERSION)
+     * @param {Array} options.migrations - Upgrade steps (defaults to DatasetSchema.MIGRATIONS)
+     * @param {Object} options.fields - Record field types (defaults to DatasetSchema.RECORD_FIELDS)
+     */
+    constructor(options = {}) {
+        this.version = options.version || DatasetSchema.VERSION;
+        this.migrations = options.migrations || DatasetSchema.MIGRATIONS;
+        this.fields = options.fields || DatasetSchema.RECORD_FIELDS;
+        this.compact = new CompactDataset();
+    }
+
+    /**
+     * Unpack a compact document into records (other documents are returned as is)
+     * @param {*} document - Parsed JSON
+     * @returns {*} Document with a records array
+     */
+    expand(document) {
+        return this.compact.isCompact(document) ? this.compact.decode(document) : document;
+    }
+
+    /**
+     * Read the version a document states
+     * Files from before the version moved to the top level carry it in metadata.
+     * @param {Object|Array} document - Parsed document (or its header)
+     * @returns {string|null} Version, or null when the document doesn't state one
+     *   (files without any version are DatasetSchema.LEGACY_VERSION)
+     */
+    getVersion(document) {
+        if (document && !Array.isArray(document)) {
+            if (document.version !== undefined) return document.version;
+            if (document.metadata && document.metadata.version !== undefined) return document.metadata.version;
+        }
+        return null;
+    }
+
+    /**
+     * Split a version string into numbers
+     * @param {string} version - "major.minor.patch"
+     * @returns {Array|null} [major, minor, patch], or null when malformed
+     */
+    parseVersion(version) {
+        const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(String(version).trim());
+        return match ? match.slice(1).map(Number) : null;
+    }
+
+    /**
+     * Compare two versions
+     * @param {string} a - Version
+     * @param {string} b - Version
+     * @returns {number} Negative when a is older, positive when newer, 0 when equal
+     */
+    compareVersions(a, b) {
+        const [left, right] = [this.parseVersion(a), this.parseVersion(b)];
+        for (let i = 0; i < 3; i++) {
+            if (left[i] !== right[i]) return left[i] - right[i];
+        }
+        return 0;
+    }
+
+    /**
+     * Find the migrations that bring a version up to date
+     * @param {string} version - Version the file was written with
+     * @returns {Array} Migrations to apply, in order (empty when already current)
+     * @throws {Error} When the version is malformed, too new, or has no upgrade path
+     */
+    planMigrations(version) {
+        const parsed = this.parseVersion(version);
+        if (!parsed) {
+            throw new Error(`Dataset version "${version}" is not a valid version number`);
+        }
+
+        const current = this.parseVersion(this.version);
+        if (parsed[0] > current[0]) {
+            throw new Error(`Dataset version ${version} is newer than this app supports ` +
+                `(${current[0]}.x); regenerate the file or update the app`);
+        }
+
+        const steps = [];
+        let at = version;
+        while (this.compareVersions(at, this.version) < 0) {
+            const step = this.migrations.find(migration => migration.from === at);
+            if (!step) {
+                // Same major version without a step: the format is compatible as is
+                if (this.parseVersion(at)[0] === current[0]) break;
+                throw new Error(`No migration from dataset version ${at} to ${this.version}`);
+            }
+            steps.push(step);
+            at = step.to;
+        }
+        return steps;
+    }
+
+    /**
+     * Upgrade a document's top-level fields (not its records)
+     * @param {Object|Array} document - Parsed document; a bare array is taken as its records
+     * @param {Array} migrations - Migrations from planMigrations
+     * @returns {Object} Upgraded document
+     */
+    migrateDocument(document, migrations) {
+        let upgraded = Array.isArray(document) ? { records: document } : document;
+        migrations.forEach(migration => {
+            upgraded = migration.migrateDocument ? migration.migrateDocument(upgraded, this) : upgraded;
+            upgraded = { ...upgraded, version: migration.to };
+        });
+        return upgraded;
+    }
+
+    /**
+     * Upgrade one record
+     * @param {Object} record - Record as stored in the file
+     * @param {Array} migrations - Migrations from planMigrations
+     * @returns {Object} Upgraded record
+     */
+    migrateRecord(record, migrations) {
+        return migrations.reduce((upgraded, migration) =>
+            migration.migrateRecord ? migration.migrateRecord(upgraded, this) : upgraded, record);
+    }
+
+    /**
+     * Upgrade and check a run of records, leaving out invalid ones
+     * @param {Array} records - Records as stored in the file
+     * @param {Array} migrations - Migrations from planMigrations
+     * @param {number} offset - Position of the first record in the file, for messages
+     * @param {Array} issues - Problems found are added here
+     * @returns {Array} Valid upgraded records
+     */
+    upgradeRecords(records, migrations, offset, issues) {
+        const valid = [];
+        records.forEach((record, index) => {
+            const migrated = this.isObject(record) ? this.migrateRecord(record, migrations) : record;
+            const recordIssues = this.validateRecord(migrated, offset + index);
+            if (recordIssues.length > 0) {
+                issues.push(...recordIssues);
+            } else {
+                valid.push(migrated);
+            }
+        });
+        return valid;
+    }
+
+    /**
+     * Check a document's top-level fields (records themselves are checked one by one)
+     * @param {Object} document - Upgraded document
+     * @returns {Array} Problems as { path, message }
+     */
+    validateDocument(document) {
+        const issues = [];
+        if (!this.isObject(document)) {
+            issues.push({ path: '', message: 'expected a JSON object with a "records" array' });
+            return issues;
+        }
+
+        if (!Array.isArray(document.records)) {
+            issues.push({ path: 'records', message: document.records === undefined ? 'is missing' : 'must be an array' });
+        }
+        ['metadata', 'filterOptions', 'statistics'].forEach(key => {
+            if (document[key] !== undefined && !this.isObject(document[key])) {
+                issues.push({ path: key, message: 'must be an object' });
+            }
+        });
+        return issues;
+    }
+
+    /**
+     * Check an upgraded record against DatasetSchema.RECORD_FIELDS
+     * Fields the schema doesn't know are allowed (newer minor versions may add some).
+     * @param {Object} record - Upgraded record
+     * @param {number} index - Position in the records array, for messages
+     * @returns {Array} Problems as { path, message }
+     */
+    validateRecord(record, index) {
+        const path = `records[${index}]`;
+        if (!this.isObject(record)) {
+            return [{ path, message: 'must be an object' }];
+        }
+
+        const issues = [];
+        Object.entries(this.fields).forEach(([field, { type, required }]) => {
+            const value = record[field];
+            if (value === undefined || value === null) {
+                if (required) issues.push({ path: `${path}.${field}`, message: 'is missing' });
+            } else if (!this.matchesType(value, type)) {
+                issues.push({ path: `${path}.${field}`, message: `must be ${DatasetSchema.TYPE_NAMES[type]}` });
+            }
+        });
+        return issues;
+    }
+
+    /**
+     * Check a value against a field type
+     * @param {*} value - Value
+     * @param {string} type - Key of DatasetSchema.TYPE_NAMES
+     * @returns {boolean} Value matches
+     */
+    matchesType(value, type) {
+        switch (type) {
+            case 'id':
+                return (typeof value === 'number' && Number.isFinite(value)) || (typeof value === 'string' && value !== '');
+            case 'string':
+                return typeof value === 'string';
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value);
+            case 'strings':
+                return Array.isArray(value) && value.every(item => typeof item === 'string');
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return this.isObject(value);
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Check for a plain (non-array) object
+     * @param {*} value - Value
+     * @returns {boolean} Value is an object
+     */
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Format problems for an error message or console
+     * @param {Array} issues - Problems as { path, message }
+     * @param {number} limit - Problems listed before "and N more"
+     * @returns {string} Text
+     */
+    describeIssues(issues, limit = DatasetSchema.MAX_LISTED_ISSUES) {
+        const listed = issues.slice(0, limit).map(issue => issue.path ? `${issue.path} ${issue.message}` : issue.message);
+        if (issues.length > limit) {
+            listed.push(`and ${issues.length - limit} more`);
+        }
+        return listed.join('; ');
+    }
+
+    /**
+     * Validate and upgrade a whole parsed document
+     * Invalid records are left out and reported; a malformed document throws.
+     * @param {Object|Array} document - Parsed records.json, full or compact (or a bare records array)
+     * @returns {Object} { document, report } - report is { version, sourceVersion, migrated, skipped, issues }
+     * @throws {Error} When the document can't be loaded
+     */
+    upgrade(document) {
+        document = this.expand(document);
+        if (!Array.isArray(document) && !this.isObject(document)) {
+            throw new Error(`Malformed dataset: ${this.describeIssues(this.validateDocument(document))}`);
+        }
+
+        const sourceVersion = this.getVersion(document) || DatasetSchema.LEGACY_VERSION;
+        const migrations = this.planMigrations(sourceVersion);
+        const upgraded = this.migrateDocument(document, migrations);
+
+        const documentIssues = this.validateDocument(upgraded);
+        if (documentIssues.length > 0) {
+            throw new Error(`Malformed dataset: ${this.describeIssues(documentIssues)}`);
+        }
+
+        const issues = [];
+        const records = this.upgradeRecords(upgraded.records, migrations, 0, issues);
+
+        return {
+            document: { ...upgraded, records },
+            report: this.createReport(sourceVersion, migrations, upgraded.records.length - records.length, issues)
+        };
+    }
+
+    /**
+     * Summarize a load
+     * @param {string} sourceVersion - Version the file was written with
+     * @param {Array} migrations - Migrations applied
+     * @param {number} skipped - Records left out as invalid
+     * @param {Array} issues - Problems found in those records
+     * @returns {Object} { version, sourceVersion, migrated, skipped, issues }
+     */
+    createReport(sourceVersion, migrations, skipped, issues) {
+        return {
+            version: migrations.length > 0 ? migrations[migrations.length - 1].to : sourceVersion,
+            sourceVersion,
+            migrated: migrations.map(migration => `${migration.from} → ${migration.to}`),
+            skipped,
+            issues
+        };
+    }
+
+    /**
+     * Split a comma-separated cell into a list (for migrations from text fields)
+     * @param {*} value - Array, comma-separated string or nothing
+     * @returns {Array} Trimmed, non-empty strings
+     */
+    toList(value) {
+        const items = Array.isArray(value) ? value : String(value || '').split(',');
+        return items.map(item => String(item).trim()).filter(Boolean);
+    }
+}
+
+/**
+ * Version written by DataConverter and loaded by the app
+ */
+DatasetSchema.VERSION = '1.2.0';
+
+/**
+ * Version assumed for files that don't state one
+ */
+DatasetSchema.LEGACY_VERSION = '1.0.0';
+
+/**
+ * Upgrade steps, each from one version to the next
+ * migrateDocument and migrateRecord are called with (value, schema) and return
+ * upgraded copies without changing their input.
+ */
+DatasetSchema.MIGRATIONS = [
+    {
+        from: '1.0.0',
+        to: '1.1.0',
+        description: 'Moods become a list; colors and collections are always lists. Palettes, ' +
+            'color temperature and tones are derived from the colors when records are normalized.',
+        migrateDocument: document => {
+            const upgraded = { ...document };
+            if (upgraded.metadata && upgraded.metadata.version !== undefined) {
+                const { version, ...metadata } = upgraded.metadata;
+                upgraded.metadata = metadata;
+            }
+            return upgraded;
+        },
+        migrateRecord: (record, schema) => {
+            const moods = schema.toList(record.moods || record.mood);
+            return {
+                ...record,
+                mood: moods.join(', '),
+                moods,
+                colors: schema.toList(record.colors),
+                collections: schema.toList(record.collections)
+            };
+        }
+    },
+    {
+        from: '1.1.0',
+        to: '1.2.0',
+        description: 'Records get a release year and decade (unknown for older files).',
+        migrateRecord: record => ({ releaseYear: null, decade: null, ...record })
+    }
+];
+
+/**
+ * Record fields of the current version
+ * Other fields are allowed and passed through.
+ */
+DatasetSchema.RECORD_FIELDS = {
+    id: { type: 'id', required: true },
+    cover: { type: 'string', required: true },
+    artworkName: { type: 'string' },
+    genre: { type: 'string', required: true },
+    artist: { type: 'string', required: true },
+    songTitle: { type: 'string', required: true },
+    artisticCategory: { type: 'string' },
+    mood: { type: 'string' },
+    moods: { type: 'strings', required: true },
+    colors: { type: 'strings', required: true },
+    palette: { type: 'strings' },
+    colorTemperature: { type: 'string' },
+    colorTones: { type: 'strings' },
+    collections: { type: 'strings', required: true },
+    searchTerms: { type: 'string' },
+    customFields: { type: 'object' },
+    coverPalette: { type: 'array' },
+    coverColors: { type: 'strings' },
+    mergedFrom: { type: 'array' },
+    displayTitle: { type: 'string' },
+    primaryColor: { type: 'string' },
+    tags: { type: 'strings' },
+    genreIndex: { type: 'number' },
+    moodIndex: { type: 'number' },
+    releaseYear: { type: 'number' },
+    decade: { type: 'number' },
+    addedAt: { type: 'string' }
+};
+
+/**
+ * How field types read in messages
+ */
+DatasetSchema.TYPE_NAMES = {
+    id: 'a number or non-empty string',
+    string: 'a string',
+    number: 'a number',
+    strings: 'a list of strings',
+    array: 'a list',
+    object: 'an object'
+};
+
+/**
+ * Problems spelled out in an error message before the rest are counted
+ */
+DatasetSchema.MAX_LISTED_ISSUES = 5;
+
+// Export for use in other modules
+window.DatasetSchema = DatasetSchema;
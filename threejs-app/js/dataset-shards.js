@@ -0,0 +1,183 @@
+/**
+ * Sharded catalog tracking for DIGGGIN record database
+ * A sharded catalog is a small manifest (filter options, statistics, facet
+ * counts, shard list) plus shard files that are normal records.json documents
+ * (see DataConverter.buildShards). This keeps track of which shards the current
+ * filters need and which have been loaded, so each shard is fetched once.
+ * Unfiltered browsing goes through the shards in manifest order, so the first
+ * pages only need the first shards (see getMissingShards and orderByShard).
+ */
+
+class DatasetShards {
+    /**
+     * @param {Object} manifest - Parsed manifest
+     * @param {string} manifestURL - Absolute URL of the manifest; shard files are relative to it
+     * @throws {Error} When the manifest is malformed or too new
+     */
+    constructor(manifest, manifestURL) {
+        if (!manifest || manifest.format !== 'manifest' || !Array.isArray(manifest.shards)) {
+            throw new Error('Malformed shard manifest: expected format "manifest" with a shards list');
+        }
+        new DatasetSchema().planMigrations(manifest.version || DatasetSchema.LEGACY_VERSION);
+
+        this.manifest = manifest;
+        this.manifestURL = manifestURL;
+        this.loaded = new Set();   // shard files loaded
+        this.loading = new Map();  // shard file -> promise while it loads
+        this.recordShards = new Map(); // record -> index of its shard in the manifest
+    }
+
+    /**
+     * Number of records in the whole catalog
+     * @returns {number} Record count
+     */
+    getTotal() {
+        return this.manifest.count;
+    }
+
+    /**
+     * Whether every shard has been loaded
+     * @returns {boolean} Catalog complete
+     */
+    isComplete() {
+        return this.loaded.size === this.manifest.shards.length;
+    }
+
+    /**
+     * Whether any filter is active; without one every record matches
+     * @param {Object} filters - Filter criteria (see DataProcessor.filterRecords)
+     * @returns {boolean} Some filter is active
+     */
+    hasFilters(filters) {
+        return !!((filters.search && filters.search.trim()) || filters.yearFrom || filters.yearTo || filters.newSince ||
+            Object.keys(DataProcessor.FACETS).some(facet => [].concat(filters[facet] || []).filter(Boolean).length > 0));
+    }
+
+    /**
+     * Find the shards that can hold records matching filters
+     * Records have one genre, so only a genre selection rules shards out (and only
+     * when the catalog is split by genre); any other filter needs every shard.
+     * @param {Object} filters - Filter criteria (see DataProcessor.filterRecords)
+     * @param {Taxonomy} taxonomy - Matches genres against their subgenres
+     * @returns {Array} Shard entries from the manifest
+     */
+    getNeededShards(filters, taxonomy) {
+        const selected = [].concat(filters.genre || []).filter(Boolean);
+        if (this.manifest.shardBy !== 'genre' || selected.length === 0) {
+            return this.manifest.shards;
+        }
+
+        const includeSubgenres = filters.includeSubgenres !== false;
+        return this.manifest.shards.filter(shard => shard.genres.some(genre =>
+            selected.some(value => taxonomy.isGenreWithin(genre, value, includeSubgenres))));
+    }
+
+    /**
+     * Find the needed shards that aren't loaded yet
+     * With a limit, only the first needed shards holding that many records count,
+     * e.g. the shards that fill the pages up to the current one.
+     * @param {Object} filters - Filter criteria
+     * @param {Taxonomy} taxonomy - Genre taxonomy
+     * @param {number} limit - Records wanted (defaults to all of them)
+     * @returns {Array} Shard entries
+     */
+    getMissingShards(filters, taxonomy, limit = Infinity) {
+        let covered = 0;
+        return this.getNeededShards(filters, taxonomy).filter(shard => {
+            if (covered >= limit) return false;
+            covered += shard.count;
+            return !this.loaded.has(shard.file);
+        });
+    }
+
+    /**
+     * Count the records in shards not loaded yet
+     * @returns {number} Record count
+     */
+    getUnloadedCount() {
+        return this.manifest.shards
+            .filter(shard => !this.loaded.has(shard.file))
+            .reduce((sum, shard) => sum + shard.count, 0);
+    }
+
+    /**
+     * Order records by their shard's place in the manifest, keeping their order within it
+     * The first pages then stay the same as further shards arrive.
+     * @param {Array} records - Ordered records (not modified)
+     * @returns {Array} Reordered copy
+     */
+    orderByShard(records) {
+        const shardOf = record => this.recordShards.has(record) ? this.recordShards.get(record) : Infinity;
+        return records
+            .map((record, index) => ({ record, index, shard: shardOf(record) }))
+            .sort((a, b) => (a.shard - b.shard || 0) || a.index - b.index)
+            .map(({ record }) => record);
+    }
+
+    /**
+     * Get the absolute URL of a shard
+     * @param {Object} shard - Shard entry
+     * @returns {string} URL
+     */
+    getShardURL(shard) {
+        return new URL(shard.file, this.manifestURL).href;
+    }
+
+    /**
+     * Load a shard once, however many queries ask for it at the same time
+     * @param {Object} shard - Shard entry
+     * @param {Function} loadShard - Called with the shard URL; resolves with its records once they are added
+     * @returns {Promise} Resolves when the shard is loaded
+     */
+    load(shard, loadShard) {
+        if (this.loaded.has(shard.file)) {
+            return Promise.resolve();
+        }
+        if (!this.loading.has(shard.file)) {
+            const index = this.manifest.shards.indexOf(shard);
+            const promise = loadShard(this.getShardURL(shard))
+                .then(records => {
+                    (records || []).forEach(record => this.recordShards.set(record, index));
+                    this.loaded.add(shard.file);
+                })
+                .finally(() => {
+                    this.loading.delete(shard.file);
+                });
+            this.loading.set(shard.file, promise);
+        }
+        return this.loading.get(shard.file);
+    }
+
+    /**
+     * Fill in facet counts the loaded shards can't give
+     * Without filters the catalog-wide counts in the manifest are right. While a genre
+     * selection keeps some shards unloaded, every count is right except the genre
+     * facet's own ('any' mode counts records outside the selection); with no other
+     * filter active those come from the manifest too, otherwise they cover the loaded
+     * shards only.
+     * @param {Object} counts - Counts from DataProcessor.getFacetCounts on the loaded records
+     * @param {Object} filters - Filter criteria
+     * @returns {Object} Counts by facet
+     */
+    completeFacetCounts(counts, filters) {
+        const catalogCounts = this.manifest.facetCounts;
+        if (this.isComplete() || !catalogCounts) {
+            return counts;
+        }
+
+        if (!this.hasFilters(filters)) {
+            return { ...counts, ...catalogCounts };
+        }
+
+        const facetModes = filters.facetModes || {};
+        const otherFilters = this.hasFilters({ ...filters, genre: null });
+
+        if (otherFilters || facetModes.genre === 'all' || filters.includeSubgenres === false) {
+            return counts;
+        }
+        return { ...counts, genre: catalogCounts.genre || {} };
+    }
+}
+
+// Export for use in other modules
+window.DatasetShards = DatasetShards;
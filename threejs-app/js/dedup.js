@@ -0,0 +1,279 @@
+/**
+ * Duplicate detection for DIGGGIN record database
+ * Groups records that are likely the same catalog entry and proposes a merged
+ * record. Nothing is merged automatically; callers apply the groups a reviewer accepted.
+ */
+
+class DuplicateDetector {
+    /**
+     * @param {Object} options - Detector options
+     * @param {number} options.maxNameDistance - Edits allowed between "near-identical" artwork names
+     * @param {number} options.minNameLength - Shorter artwork names are only matched exactly
+     */
+    constructor(options = {}) {
+        this.maxNameDistance = options.maxNameDistance || 1;
+        this.minNameLength = options.minNameLength || 14;
+        this.textIndex = new SearchIndex(); // for its bounded edit distance
+    }
+
+    /**
+     * Find groups of likely duplicates
+     * Each group is an anchor record plus the records directly linked to it, so
+     * loose chains (A looks like B, B looks like C) don't snowball into one group.
+     * @param {Array} records - Records (e.g. from DataProcessor.parseCSV)
+     * @returns {Array} Groups as { id, recordIds, records, reasons, confidence, merged, conflicts }
+     */
+    findGroups(records) {
+        const pairs = this.findPairs(records);
+        const anchorOf = new Map();  // record index -> anchor index
+        const members = new Map();   // anchor index -> [{ index, reasons }]
+
+        // Strongest links first; only anchors take on new members, from either end of a pair
+        Array.from(pairs.entries())
+            .map(([key, reasons]) => ({ indexes: key.split(':').map(Number), reasons }))
+            .sort((a, b) => this.getPairScore(b.reasons) - this.getPairScore(a.reasons) ||
+                a.indexes[0] - b.indexes[0] || a.indexes[1] - b.indexes[1])
+            .forEach(({ indexes: [a, b], reasons }) => {
+                if (!anchorOf.has(a) && !anchorOf.has(b)) {
+                    anchorOf.set(a, a);
+                    anchorOf.set(b, a);
+                    members.set(a, [{ index: b, reasons }]);
+                } else if (anchorOf.get(a) === a && !anchorOf.has(b)) {
+                    anchorOf.set(b, a);
+                    members.get(a).push({ index: b, reasons });
+                } else if (anchorOf.get(b) === b && !anchorOf.has(a)) {
+                    anchorOf.set(a, b);
+                    members.get(b).push({ index: a, reasons });
+                }
+            });
+
+        const groups = [];
+        members.forEach((linked, anchor) => {
+            // In catalog order; the merged record takes the place of the first (see applyMerges)
+            const groupRecords = [anchor, ...linked.map(member => member.index)]
+                .sort((a, b) => a - b)
+                .map(index => records[index]);
+            const groupReasons = new Set();
+            linked.forEach(member => member.reasons.forEach(reason => groupReasons.add(reason)));
+
+            const { merged, conflicts } = this.mergeRecords(groupRecords);
+            groups.push({
+                id: `dup-${records[anchor].id}`,
+                recordIds: groupRecords.map(record => record.id),
+                records: groupRecords,
+                reasons: Array.from(groupReasons),
+                confidence: this.getConfidence(linked.map(member => member.reasons)),
+                merged,
+                conflicts
+            });
+        });
+
+        return groups.sort((a, b) => a.recordIds[0] - b.recordIds[0]);
+    }
+
+    /**
+     * Find linked record pairs
+     * @param {Array} records - Records
+     * @returns {Map} "a:b" record index pair (a < b) -> Set of reasons
+     */
+    findPairs(records) {
+        const pairs = new Map();
+        const link = (a, b, reason) => {
+            const key = a < b ? `${a}:${b}` : `${b}:${a}`;
+            if (!pairs.has(key)) pairs.set(key, new Set());
+            pairs.get(key).add(reason);
+        };
+
+        // Bucket records by a key; every pair within a bucket is a candidate
+        const bucket = keyOf => {
+            const buckets = new Map();
+            records.forEach((record, index) => {
+                const key = keyOf(record);
+                if (!key) return;
+                if (!buckets.has(key)) buckets.set(key, []);
+                buckets.get(key).push(index);
+            });
+            return buckets;
+        };
+        const linkWithin = (buckets, reason, matches = () => true) => {
+            buckets.forEach(indexes => {
+                for (let i = 0; i < indexes.length; i++) {
+                    for (let j = i + 1; j < indexes.length; j++) {
+                        if (matches(indexes[i], indexes[j])) {
+                            link(indexes[i], indexes[j], reason);
+                        }
+                    }
+                }
+            });
+        };
+
+        linkWithin(bucket(record => (record.cover || '').trim().toLowerCase()), 'cover');
+        linkWithin(bucket(record => record.artist && record.songTitle
+            ? `${this.normalize(record.artist)}\u0000${this.normalize(record.songTitle)}`
+            : ''), 'artist-title');
+
+        // Near-identical artwork names by the same artist
+        const names = records.map(record => this.normalize(record.artworkName));
+        linkWithin(bucket(record => this.normalize(record.artist)), 'artwork-name',
+            (a, b) => names[a] !== '' && this.isSimilarName(names[a], names[b]));
+
+        return pairs;
+    }
+
+    /**
+     * Normalize text for comparison: case, accents, punctuation and spacing ignored
+     * @param {string} text - Text
+     * @returns {string} Comparison key
+     */
+    normalize(text) {
+        return this.textIndex.tokenize(text).join(' ');
+    }
+
+    /**
+     * Check whether two normalized artwork names are near-identical
+     * Names that differ in their numbers ("Dynamic Athlete 53" / "54") are a series, not duplicates.
+     * @param {string} a - Normalized name
+     * @param {string} b - Normalized name
+     * @returns {boolean} Names match
+     */
+    isSimilarName(a, b) {
+        if (a === b) return true;
+        if (Math.min(a.length, b.length) < this.minNameLength) return false;
+        if (Math.abs(a.length - b.length) > this.maxNameDistance) return false;
+
+        const numbers = name => (name.match(/\d+/g) || []).join(' ');
+        if (numbers(a) !== numbers(b)) return false;
+
+        return this.textIndex.editDistance(a, b, this.maxNameDistance) <= this.maxNameDistance;
+    }
+
+    /**
+     * Weight of the evidence linking two records
+     * @param {Set} reasons - Reasons the pair was linked
+     * @returns {number} Score (cover and artist/title count double)
+     */
+    getPairScore(reasons) {
+        let score = 0;
+        reasons.forEach(reason => {
+            score += reason === 'artwork-name' ? 1 : 2;
+        });
+        return score;
+    }
+
+    /**
+     * Rate how sure we are that a group is one entry, by its weakest link
+     * @param {Array} memberReasons - Reason sets linking each member to the anchor
+     * @returns {string} 'high' when every link has several signals, 'low' when one rests
+     *   on the artwork name alone, otherwise 'medium'
+     */
+    getConfidence(memberReasons) {
+        if (memberReasons.every(reasons => reasons.size >= 2)) return 'high';
+        if (memberReasons.some(reasons => reasons.size === 1 && reasons.has('artwork-name'))) return 'low';
+        return 'medium';
+    }
+
+    /**
+     * Propose a merged record for a group
+     * The most complete record is kept; its empty fields are filled from the others,
+     * and colors, collections and moods are unioned.
+     * @param {Array} records - Records in the group
+     * @returns {Object} { merged, conflicts } - conflicts lists differing values by field
+     */
+    mergeRecords(records) {
+        const filled = record => DuplicateDetector.SCALAR_FIELDS.filter(field => record[field]).length;
+        const base = [...records].sort((a, b) => filled(b) - filled(a) || a.id - b.id)[0];
+        const others = records.filter(record => record !== base);
+
+        const merged = { ...base };
+        const conflicts = {};
+
+        DuplicateDetector.SCALAR_FIELDS.forEach(field => {
+            const values = [];
+            records.forEach(record => {
+                const value = record[field];
+                if (value && !values.some(v => this.normalize(v) === this.normalize(value))) {
+                    values.push(value);
+                }
+            });
+            if (!merged[field] && values.length > 0) {
+                merged[field] = values[0];
+            }
+            if (values.length > 1) {
+                conflicts[field] = values;
+            }
+        });
+
+        DuplicateDetector.LIST_FIELDS.forEach(field => {
+            merged[field] = this.unionValues(records.map(record => record[field] || []));
+        });
+        if (merged.moods) {
+            merged.mood = merged.moods.join(', ');
+        }
+
+        merged.mergedFrom = others.map(record => record.id);
+        return { merged, conflicts };
+    }
+
+    /**
+     * Union lists, keeping the first spelling of each value
+     * @param {Array} lists - Arrays of values
+     * @returns {Array} Unique values
+     */
+    unionValues(lists) {
+        const seen = new Map();
+        lists.forEach(list => list.forEach(value => {
+            const key = this.normalize(value);
+            if (key && !seen.has(key)) {
+                seen.set(key, value);
+            }
+        }));
+        return Array.from(seen.values());
+    }
+
+    /**
+     * Replace each accepted group's records with its merged record
+     * The merged record takes the place of the group's first record.
+     * @param {Array} records - All records
+     * @param {Array} groups - Accepted groups (from findGroups)
+     * @returns {Array} Records with duplicates merged
+     */
+    applyMerges(records, groups) {
+        const byId = new Map(records.map(record => [record.id, record]));
+        const replaced = new Map(); // first record id -> merged record
+        const removed = new Set();
+
+        groups.forEach(group => {
+            const groupRecords = group.recordIds.map(id => byId.get(id)).filter(Boolean);
+            if (groupRecords.length < 2) return;
+
+            replaced.set(groupRecords[0].id, this.mergeRecords(groupRecords).merged);
+            groupRecords.slice(1).forEach(record => removed.add(record.id));
+        });
+
+        return records
+            .filter(record => !removed.has(record.id))
+            .map(record => replaced.get(record.id) || record);
+    }
+}
+
+/**
+ * Single-valued fields filled from the other records when the kept one is empty
+ */
+DuplicateDetector.SCALAR_FIELDS = ['cover', 'artworkName', 'genre', 'artist', 'songTitle', 'artisticCategory'];
+
+/**
+ * List fields unioned across the group
+ */
+DuplicateDetector.LIST_FIELDS = ['colors', 'collections', 'moods'];
+
+/**
+ * Human-readable reasons
+ */
+DuplicateDetector.REASONS = {
+    'cover': 'Same cover URL',
+    'artist-title': 'Same artist and song title',
+    'artwork-name': 'Near-identical artwork name'
+};
+
+// Export for use in other modules
+window.DuplicateDetector = DuplicateDetector;
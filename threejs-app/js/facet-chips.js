@@ -0,0 +1,160 @@
+/**
+ * Multi-select chip group for a filter facet (genre, mood, color...)
+ */
+
+class FacetChipGroup {
+    /**
+     * @param {HTMLElement} container - Element that holds the chips, named by the label its aria-labelledby points at
+     * @param {string} facet - Facet name (see DataProcessor.FACETS)
+     * @param {Function} onChange - Called with (facet, selectedValues, mode) when the selection changes
+     */
+    constructor(container, facet, onChange) {
+        this.container = container;
+        this.facet = facet;
+        this.onChange = onChange;
+        this.selected = [];
+        this.mode = 'any';
+
+        this.container.classList.add('chip-group');
+        this.container.setAttribute('role', 'group');
+
+        this.container.addEventListener('click', (event) => {
+            const chip = event.target.closest('.chip');
+            if (chip && this.container.contains(chip)) {
+                this.toggle(chip.dataset.value);
+            }
+        });
+
+        this.setupModeToggle();
+    }
+
+    /**
+     * Add the "any / all" toggle next to the group's label
+     */
+    setupModeToggle() {
+        const label = document.getElementById(this.container.getAttribute('aria-labelledby'));
+        if (!label) return;
+
+        this.modeButton = document.createElement('button');
+        this.modeButton.type = 'button';
+        this.modeButton.className = 'facet-mode';
+        this.modeButton.title = 'Match any or all selected values';
+        this.modeButton.addEventListener('click', () => {
+            this.mode = this.mode === 'any' ? 'all' : 'any';
+            this.updateModeButton();
+            this.onChange(this.facet, [...this.selected], this.mode);
+        });
+        // Beside the label rather than in it, so it isn't part of the group's name
+        label.classList.add('facet-label');
+        label.after(this.modeButton);
+        this.updateModeButton();
+    }
+
+    /**
+     * Refresh the mode toggle text
+     */
+    updateModeButton() {
+        if (this.modeButton) {
+            this.modeButton.textContent = `match ${this.mode}`;
+            this.modeButton.setAttribute('aria-label', `Match ${this.mode} selected values`);
+        }
+    }
+
+    /**
+     * Replace the available options
+     * @param {Array} options - Option values
+     * @param {Function} formatLabel - Optional label formatter for each value
+     * @param {Function} getSwatch - Optional hex color shown before each value's label
+     */
+    setOptions(options, formatLabel = value => value, getSwatch = null) {
+        this.container.innerHTML = '';
+
+        options.forEach(value => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'chip';
+            chip.dataset.value = value;
+
+            const swatch = getSwatch ? getSwatch(value) : null;
+            if (swatch) {
+                const dot = document.createElement('span');
+                dot.className = 'chip-swatch';
+                dot.style.background = swatch;
+                chip.appendChild(dot);
+            }
+
+            const label = document.createElement('span');
+            label.className = 'chip-label';
+            label.textContent = formatLabel(value);
+            chip.appendChild(label);
+
+            const count = document.createElement('span');
+            count.className = 'chip-count';
+            chip.appendChild(count);
+
+            this.container.appendChild(chip);
+        });
+
+        // Drop selections that no longer exist
+        this.selected = this.selected.filter(value => options.includes(value));
+        this.render();
+    }
+
+    /**
+     * Show how many records each option would return
+     * Options with no results are disabled unless already selected.
+     * @param {Object} counts - Record counts by option value
+     */
+    setCounts(counts) {
+        this.container.querySelectorAll('.chip').forEach(chip => {
+            const count = counts[chip.dataset.value] || 0;
+            const selected = this.selected.includes(chip.dataset.value);
+
+            chip.querySelector('.chip-count').textContent = count;
+            chip.disabled = count === 0 && !selected;
+            chip.setAttribute('aria-label', `${chip.dataset.value}, ${count} records`);
+        });
+    }
+
+    /**
+     * Toggle one value
+     * @param {string} value - Option value
+     */
+    toggle(value) {
+        if (this.selected.includes(value)) {
+            this.selected = this.selected.filter(v => v !== value);
+        } else {
+            this.selected = [...this.selected, value];
+        }
+        this.render();
+        this.onChange(this.facet, [...this.selected], this.mode);
+    }
+
+    /**
+     * Set the selection without notifying
+     * @param {string|Array} values - Selected value(s)
+     * @param {string} mode - 'any' or 'all'
+     */
+    setSelected(values, mode) {
+        this.selected = (Array.isArray(values) ? values : [values]).filter(Boolean);
+        if (mode) {
+            this.mode = mode;
+            this.updateModeButton();
+        }
+        this.render();
+    }
+
+    /**
+     * Sync chip state with the selection
+     */
+    render() {
+        this.container.querySelectorAll('.chip').forEach(chip => {
+            const active = this.selected.includes(chip.dataset.value);
+            chip.classList.toggle('active', active);
+            chip.setAttribute('aria-pressed', active ? 'true' : 'false');
+        });
+    }
+}
+
+// Export for use in other modules
+window.FacetChipGroup = FacetChipGroup;
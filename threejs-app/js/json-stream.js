@@ -0,0 +1,114 @@
+/**
+ * Incremental reader for records.json files
+ * Pulls each object out of the "records" array as soon as it is complete, so
+ * records can be shown while the rest of the file is still downloading.
+ * Everything else (metadata, filterOptions) is kept and parsed at the end;
+ * what comes before the records (e.g. version) is available as header once
+ * the array starts. A bare top-level array of records is accepted too.
+ */
+
+class JSONRecordStream {
+    /**
+     * @param {string} key - Property holding the records array
+     */
+    constructor(key = 'records') {
+        this.keyPattern = new RegExp(`"${key}"\\s*:\\s*\\[$`);
+        this.shell = '';      // Document text with the records array emptied
+        this.current = '';    // Text of a record split across chunks
+        this.depth = 0;
+        this.inString = false;
+        this.escaped = false;
+        this.inRecords = false;
+        this.inRecord = false;
+        this.recordsDepth = 0; // Nesting depth inside the records array
+        this.seenContent = false;
+        this.header = null;    // Document fields before the records array, once it starts
+    }
+
+    /**
+     * Read the next chunk of JSON text
+     * @param {string} chunk - JSON text
+     * @returns {Array} Records completed by this chunk
+     */
+    push(chunk) {
+        const records = [];
+        let shellStart = this.inRecords ? -1 : 0;
+        let recordStart = this.inRecord ? 0 : -1;
+
+        for (let i = 0; i < chunk.length; i++) {
+            const char = chunk[i];
+
+            if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (char === '\\') {
+                    this.escaped = true;
+                } else if (char === '"') {
+                    this.inString = false;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                this.inString = true;
+            } else if (char === '{' || char === '[') {
+                if (this.inRecords && !this.inRecord && this.depth === this.recordsDepth && char === '{') {
+                    this.inRecord = true;
+                    recordStart = i;
+                } else if (!this.inRecords && char === '[' && (this.depth === 1 || (this.depth === 0 && !this.seenContent))) {
+                    this.shell += chunk.slice(shellStart, i + 1);
+                    shellStart = i + 1;
+
+                    if (this.depth === 0 || this.keyPattern.test(this.shell.slice(-64))) {
+                        this.inRecords = true;
+                        this.recordsDepth = this.depth + 1;
+                        shellStart = -1;
+                        this.header = this.depth === 0 ? {} : JSON.parse(`${this.shell}]}`);
+                    }
+                }
+                this.depth++;
+            } else if (char === '}' || char === ']') {
+                this.depth--;
+
+                if (this.inRecord && this.depth === this.recordsDepth) {
+                    records.push(JSON.parse(this.current + chunk.slice(recordStart, i + 1)));
+                    this.current = '';
+                    this.inRecord = false;
+                    recordStart = -1;
+                } else if (this.inRecords && !this.inRecord && this.depth === this.recordsDepth - 1) {
+                    this.inRecords = false;
+                    shellStart = i;
+                }
+            }
+
+            if (!this.seenContent && char.trim() !== '') {
+                this.seenContent = true;
+            }
+        }
+
+        if (shellStart >= 0) {
+            this.shell += chunk.slice(shellStart);
+        }
+        if (this.inRecord) {
+            this.current += chunk.slice(recordStart);
+        }
+
+        return records;
+    }
+
+    /**
+     * Finish reading and parse the rest of the document
+     * @returns {Object} The document without its records (records is an empty array)
+     */
+    end() {
+        if (this.inString || this.depth !== 0) {
+            throw new Error('Unexpected end of JSON data');
+        }
+
+        const data = JSON.parse(this.shell);
+        return Array.isArray(data) ? { records: [] } : data;
+    }
+}
+
+// Export for use in other modules
+window.JSONRecordStream = JSONRecordStream;
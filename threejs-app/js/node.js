@@ -0,0 +1,64 @@
+/**
+ * Node entry point for the DIGGGIN data modules
+ * The modules are browser scripts that export through window. Like the data
+ * worker, this loads them into one context whose window is the context itself,
+ * so DataProcessor, DataConverter and the rest run unchanged at build time.
+ *
+ *   const { DataConverter } = require('./js/node');
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Scripts loaded, in dependency order
+ */
+const NODE_SCRIPTS = [
+    'taxonomy.js',
+    'colors.js',
+    'search.js',
+    'query.js',
+    'csv.js',
+    'json-stream.js',
+    'compact-dataset.js',
+    'dataset-schema.js',
+    'dataset-diff.js',
+    'data.js',
+    'catalog-import.js',
+    'validator.js',
+    'dedup.js',
+    'palette.js',
+    'similarity.js',
+    'record-export.js',
+    'converter.js'
+];
+
+const context = vm.createContext({ console, URL, TextEncoder, require });
+context.window = context;
+
+NODE_SCRIPTS.forEach(file => {
+    const filename = path.join(__dirname, file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+});
+
+module.exports = {
+    Taxonomy: context.Taxonomy,
+    ColorVocabulary: context.ColorVocabulary,
+    SearchIndex: context.SearchIndex,
+    QueryParser: context.QueryParser,
+    CSVTokenizer: context.CSVTokenizer,
+    CSVWriter: context.CSVWriter,
+    JSONRecordStream: context.JSONRecordStream,
+    CompactDataset: context.CompactDataset,
+    DatasetSchema: context.DatasetSchema,
+    DatasetDiff: context.DatasetDiff,
+    DataProcessor: context.DataProcessor,
+    CatalogImporter: context.CatalogImporter,
+    DatasetValidator: context.DatasetValidator,
+    DuplicateDetector: context.DuplicateDetector,
+    PaletteExtractor: context.PaletteExtractor,
+    SimilarityEngine: context.SimilarityEngine,
+    RecordExporter: context.RecordExporter,
+    DataConverter: context.DataConverter
+};
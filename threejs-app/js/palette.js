@@ -0,0 +1,225 @@
+/**
+ * Cover palette extraction for DIGGGIN record database
+ * Reduces a downscaled copy of the cover image to its dominant colors with
+ * median cut, names them with the color vocabulary and compares them with
+ * the colors a record was tagged with. Works on any RGBA pixel array, so
+ * covers can be analyzed in the browser, in a worker or during conversion.
+ */
+
+class PaletteExtractor {
+    /**
+     * @param {Object} options - Extractor options
+     * @param {ColorVocabulary} options.vocabulary - Names the extracted colors
+     * @param {number} options.colorCount - Colors to extract per cover
+     * @param {number} options.sampleSize - Covers are scaled to fit this many pixels across
+     * @param {number} options.minShare - Colors covering less of the cover are not named
+     */
+    constructor(options = {}) {
+        this.vocabulary = options.vocabulary || new ColorVocabulary();
+        this.colorCount = options.colorCount || 5;
+        this.sampleSize = options.sampleSize || 64;
+        this.minShare = options.minShare || 0.08;
+    }
+
+    /**
+     * Load a cover image for reading its pixels
+     * The image host must allow cross-origin requests, otherwise the canvas is tainted.
+     * @param {string} url - Image URL
+     * @returns {Promise<HTMLImageElement>} Loaded image
+     */
+    loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.crossOrigin = 'anonymous';
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error(`Could not load cover ${url}`));
+            image.src = url;
+        });
+    }
+
+    /**
+     * Extract the palette of a cover by URL
+     * @param {string} url - Image URL
+     * @returns {Promise<Object>} See analyze
+     */
+    async extractFromURL(url) {
+        return this.analyze(this.getPixels(await this.loadImage(url)));
+    }
+
+    /**
+     * Read the pixels of a downscaled copy of an image
+     * @param {CanvasImageSource} image - Loaded image or bitmap
+     * @returns {Uint8ClampedArray} RGBA pixels
+     */
+    getPixels(image) {
+        const width = image.naturalWidth || image.width;
+        const height = image.naturalHeight || image.height;
+        const scale = Math.min(1, this.sampleSize / Math.max(width, height));
+        const w = Math.max(1, Math.round(width * scale));
+        const h = Math.max(1, Math.round(height * scale));
+
+        const canvas = typeof OffscreenCanvas !== 'undefined'
+            ? new OffscreenCanvas(w, h)
+            : Object.assign(document.createElement('canvas'), { width: w, height: h });
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0, w, h);
+
+        try {
+            return context.getImageData(0, 0, w, h).data;
+        } catch (error) {
+            throw new Error('Cover host does not allow reading its pixels (CORS)');
+        }
+    }
+
+    /**
+     * Find the dominant colors in RGBA pixels (median cut)
+     * The box with the widest channel range, weighted by its size, is split at its
+     * median until there are several boxes per wanted color; box averages that look
+     * alike are then merged, so one large area doesn't crowd out the smaller ones.
+     * @param {Uint8ClampedArray|Array} data - RGBA pixels; mostly transparent pixels are skipped
+     * @returns {Array} Up to colorCount colors as { hex, share }, largest share first
+     */
+    extractFromPixels(data) {
+        const pixels = [];
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] >= 128) {
+                pixels.push([data[i], data[i + 1], data[i + 2]]);
+            }
+        }
+        if (pixels.length === 0) return [];
+
+        const boxes = [pixels];
+        while (boxes.length < this.colorCount * PaletteExtractor.BOXES_PER_COLOR) {
+            let best = -1;
+            let bestScore = 0;
+            let bestChannel = 0;
+
+            boxes.forEach((box, index) => {
+                const { channel, range } = this.getWidestChannel(box);
+                if (range * box.length > bestScore) {
+                    best = index;
+                    bestScore = range * box.length;
+                    bestChannel = channel;
+                }
+            });
+            if (best === -1) break; // Every box is a single color
+
+            const box = boxes[best].sort((a, b) => a[bestChannel] - b[bestChannel]);
+            const middle = box.length >> 1;
+            boxes.splice(best, 1, box.slice(0, middle), box.slice(middle));
+        }
+
+        // Merge look-alike box averages, biggest first
+        const colors = [];
+        boxes
+            .map(box => {
+                const sum = [0, 0, 0];
+                box.forEach(pixel => pixel.forEach((value, channel) => { sum[channel] += value; }));
+                return { rgb: sum.map(value => value / box.length), count: box.length };
+            })
+            .sort((a, b) => b.count - a.count)
+            .forEach(color => {
+                const similar = colors.find(other =>
+                    this.vocabulary.getDistance(other.rgb, color.rgb) < PaletteExtractor.MERGE_DISTANCE);
+                if (!similar) {
+                    colors.push(color);
+                    return;
+                }
+                const count = similar.count + color.count;
+                similar.rgb = similar.rgb.map((value, channel) =>
+                    (value * similar.count + color.rgb[channel] * color.count) / count);
+                similar.count = count;
+            });
+
+        return colors
+            .sort((a, b) => b.count - a.count)
+            .slice(0, this.colorCount)
+            .map(({ rgb, count }) => ({
+                hex: this.vocabulary.rgbToHex(rgb),
+                share: Math.round(count / pixels.length * 100) / 100
+            }))
+            .filter(color => color.share > 0);
+    }
+
+    /**
+     * Find the channel with the widest range in a box of pixels
+     * @param {Array} box - [r, g, b] pixels
+     * @returns {Object} { channel: 0-2, range }
+     */
+    getWidestChannel(box) {
+        let channel = 0;
+        let range = 0;
+        for (let c = 0; c < 3; c++) {
+            let min = 255;
+            let max = 0;
+            box.forEach(pixel => {
+                if (pixel[c] < min) min = pixel[c];
+                if (pixel[c] > max) max = pixel[c];
+            });
+            if (max - min > range) {
+                channel = c;
+                range = max - min;
+            }
+        }
+        return { channel, range };
+    }
+
+    /**
+     * Extract and name the dominant colors of a cover
+     * @param {Uint8ClampedArray|Array} data - RGBA pixels
+     * @returns {Object} { palette, colors } - palette is the extracted { hex, share } list,
+     *   colors the vocabulary names of those covering at least minShare (largest first)
+     */
+    analyze(data) {
+        const palette = this.extractFromPixels(data);
+        const colors = [];
+        palette.filter(color => color.share >= this.minShare).forEach(color => {
+            const name = this.vocabulary.nearestSwatch(color.hex).name;
+            if (!colors.includes(name)) colors.push(name);
+        });
+        return { palette, colors };
+    }
+
+    /**
+     * Check tagged colors against the colors found on the cover
+     * Only chromatic tags are checked: nearly every cover has dark and light areas,
+     * so black, white or gray tags prove nothing.
+     * @param {Array} tagged - Canonical color names the record was tagged with
+     * @param {Array} found - Color names from analyze
+     * @returns {Object|null} { tagged, found } color families when none of the tagged
+     *   chromatic families appear on the cover, otherwise null
+     */
+    findMismatch(tagged, found) {
+        const families = (colors, chromaticOnly) => {
+            const result = [];
+            (colors || []).forEach(name => {
+                const swatch = this.vocabulary.getSwatch(name);
+                if (swatch && !(chromaticOnly && swatch.temperature === 'neutral') && !result.includes(swatch.family)) {
+                    result.push(swatch.family);
+                }
+            });
+            return result;
+        };
+
+        const taggedFamilies = families(tagged, true);
+        if (taggedFamilies.length === 0 || !found || found.length === 0) return null;
+
+        const foundFamilies = families(found, false);
+        if (taggedFamilies.some(family => foundFamilies.includes(family))) return null;
+
+        return { tagged: taggedFamilies, found: foundFamilies };
+    }
+}
+
+/**
+ * Median-cut boxes made per extracted color before look-alikes are merged
+ */
+PaletteExtractor.BOXES_PER_COLOR = 4;
+
+/**
+ * Box averages closer than this (see ColorVocabulary.getDistance) are one color
+ */
+PaletteExtractor.MERGE_DISTANCE = 60;
+
+// Export for use in other modules
+window.PaletteExtractor = PaletteExtractor;
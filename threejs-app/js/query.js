@@ -0,0 +1,194 @@
+/**
+ * Search query language for DIGGGIN record database
+ *
+ *   artist:"Tame Impala" mood:calming -genre:indie color:green OR color:blue
+ *
+ * Terms are ANDed together; "OR" joins neighbouring terms into one group,
+ * a leading "-" negates a term, and values with spaces are quoted.
+ * Bare words are free text handled by the search index.
+ */
+
+class QueryParser {
+    /**
+     * @param {Object} fields - Query field names by record field (defaults to QueryParser.FIELDS)
+     */
+    constructor(fields = QueryParser.FIELDS) {
+        this.fields = new Map();
+        Object.entries(fields).forEach(([recordField, names]) => {
+            names.forEach(name => this.fields.set(name, recordField));
+        });
+    }
+
+    /**
+     * Parse a query string
+     * @param {string} query - Raw query
+     * @returns {Object} { text, groups, errors } - text is the ANDed free text used for
+     *   ranking; groups is an array of OR-groups of { field, value, negate } terms
+     *   (field is null for free text); errors lists { position, message, hint }
+     */
+    parse(query) {
+        const { tokens, errors } = this.tokenize(query || '');
+        const groups = [];
+        let pendingOr = false;
+
+        tokens.forEach((token, index) => {
+            if (token.type === 'or') {
+                if (groups.length === 0 || pendingOr) {
+                    errors.push(this.error(token.position, 'OR needs a term on both sides', 'Example: color:green OR color:blue'));
+                } else if (index === tokens.length - 1) {
+                    errors.push(this.error(token.position, 'Query ends with OR', 'Add another term after OR, or remove it'));
+                }
+                pendingOr = true;
+                return;
+            }
+
+            if (pendingOr && groups.length > 0) {
+                groups[groups.length - 1].push(token.term);
+            } else {
+                groups.push([token.term]);
+            }
+            pendingOr = false;
+        });
+
+        // Positive free text outside OR groups drives relevance ranking
+        const text = groups
+            .filter(group => group.length === 1 && group[0].field === null && !group[0].negate)
+            .map(group => group[0].value)
+            .join(' ');
+
+        return { text, groups, errors };
+    }
+
+    /**
+     * Split a query into terms and OR operators
+     * @param {string} query - Raw query
+     * @returns {Object} { tokens, errors }
+     */
+    tokenize(query) {
+        const tokens = [];
+        const errors = [];
+        let i = 0;
+
+        while (i < query.length) {
+            if (/\s/.test(query[i])) {
+                i++;
+                continue;
+            }
+
+            const position = i;
+            let negate = false;
+            if (query[i] === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+                negate = true;
+                i++;
+            }
+
+            // Field prefix, e.g. "artist:"
+            let field = null;
+            const fieldMatch = /^([a-zA-Z_]+):/.exec(query.slice(i));
+            if (fieldMatch) {
+                const name = fieldMatch[1].toLowerCase();
+                field = this.fields.get(name);
+                if (!field) {
+                    errors.push(this.error(i, `Unknown field "${fieldMatch[1]}:"`,
+                        `Try one of: ${Array.from(this.fields.keys()).map(f => f + ':').join(' ')}`));
+                }
+                i += fieldMatch[0].length;
+            }
+
+            // Value: quoted phrase or run of non-space characters
+            let value = '';
+            if (query[i] === '"') {
+                const close = query.indexOf('"', i + 1);
+                if (close === -1) {
+                    errors.push(this.error(i, 'Missing closing quote', 'Close the phrase with " e.g. artist:"Tame Impala"'));
+                    value = query.slice(i + 1);
+                    i = query.length;
+                } else {
+                    value = query.slice(i + 1, close);
+                    i = close + 1;
+                }
+            } else {
+                const start = i;
+                while (i < query.length && !/\s/.test(query[i])) {
+                    i++;
+                }
+                value = query.slice(start, i);
+            }
+
+            if (!negate && !fieldMatch && value === 'OR') {
+                tokens.push({ type: 'or', position });
+                continue;
+            }
+
+            value = value.trim();
+            if (!value) {
+                if (fieldMatch) {
+                    errors.push(this.error(position, `No value after "${fieldMatch[0]}"`, `Example: ${fieldMatch[0]}value`));
+                }
+                continue;
+            }
+
+            if (fieldMatch && !field) {
+                continue;
+            }
+
+            tokens.push({ type: 'term', position, term: { field, value, negate } });
+        }
+
+        return { tokens, errors };
+    }
+
+    /**
+     * Build a syntax error entry
+     * @param {number} position - Character offset in the query
+     * @param {string} message - What is wrong
+     * @param {string} hint - How to fix it
+     * @returns {Object} Error entry
+     */
+    error(position, message, hint) {
+        return { position, message, hint };
+    }
+
+    /**
+     * Get the query field names that can be used
+     * @returns {Array} Field names
+     */
+    getFieldNames() {
+        return Array.from(this.fields.keys());
+    }
+
+    /**
+     * Reduce a query to its words, for searching a query that doesn't parse
+     * Negated terms, field prefixes, quotes and OR are dropped; other values are kept.
+     * @param {string} query - Raw query
+     * @returns {string} Plain text ('' when only syntax is left)
+     */
+    getPlainText(query) {
+        return (query || '')
+            .replace(/(^|\s)-[\w-]*:?("[^"]*"?|\S*)/g, '$1')
+            .replace(/(^|\s)[\w-]+:/g, '$1')
+            .replace(/"/g, ' ')
+            .split(/\s+/)
+            .filter(word => word && word !== 'OR')
+            .join(' ');
+    }
+}
+
+/**
+ * Query field names accepted for each record field
+ */
+QueryParser.FIELDS = {
+    artist: ['artist', 'by'],
+    songTitle: ['title', 'song'],
+    artworkName: ['artwork', 'art'],
+    genre: ['genre'],
+    mood: ['mood'],
+    colors: ['color', 'colour'],
+    collections: ['collection', 'tag'],
+    artisticCategory: ['category', 'style'],
+    releaseYear: ['year', 'released'],
+    decade: ['decade', 'era']
+};
+
+// Export for use in other modules
+window.QueryParser = QueryParser;
@@ -0,0 +1,281 @@
+/**
+ * Selection export for DIGGGIN record database
+ * Turns a set of records (filter results or hand-picked records) into files:
+ * CSV with DiggerDB.csv's columns, a loadable records.json, M3U and XSPF
+ * playlists (artist / title, for playlist converters) and plain-text tracklists.
+ */
+
+class RecordExporter {
+    /**
+     * @param {Object} formats - Export formats (defaults to RecordExporter.FORMATS)
+     */
+    constructor(formats = RecordExporter.FORMATS) {
+        this.formats = formats;
+    }
+
+    /**
+     * Export records in one format
+     * @param {Array} records - Records, in the order they are listed
+     * @param {string} format - Key of RecordExporter.FORMATS
+     * @param {Object} options - Export options
+     * @param {string} options.title - Name of the selection (playlist title, file name)
+     * @param {Date} options.date - Export time (defaults to now)
+     * @returns {Object} { text, filename, type }
+     * @throws {Error} When the format is unknown
+     */
+    export(records, format, options = {}) {
+        const spec = this.formats[format];
+        if (!spec) {
+            throw new Error(`Unknown export format "${format}" (use ${Object.keys(this.formats).join(', ')})`);
+        }
+
+        const title = options.title || RecordExporter.DEFAULT_TITLE;
+        const date = options.date || new Date();
+        const writers = {
+            csv: () => this.toCSV(records),
+            json: () => this.toJSON(records, title, date),
+            m3u: () => this.toM3U(records, title),
+            xspf: () => this.toXSPF(records, title, date),
+            txt: () => this.toText(records, title)
+        };
+
+        return {
+            text: writers[format](),
+            filename: `${this.getFileStem(title, date)}.${spec.extension}`,
+            type: spec.type
+        };
+    }
+
+    /**
+     * Write records as CSV with DiggerDB.csv's columns, so the rows can be pasted back
+     * into the catalog; release years and custom columns follow when records have them
+     * @param {Array} records - Records
+     * @returns {string} CSV text
+     */
+    toCSV(records) {
+        const columns = [...RecordExporter.CSV_COLUMNS];
+        if (records.some(record => record.releaseYear)) {
+            columns.push({ header: 'release year', value: record => record.releaseYear });
+        }
+
+        const customKeys = new Set();
+        records.forEach(record => Object.keys(record.customFields || {}).forEach(key => customKeys.add(key)));
+        customKeys.forEach(key => {
+            columns.push({ header: this.getColumnHeader(key), value: record => (record.customFields || {})[key] });
+        });
+
+        return CSVWriter.format([
+            columns.map(column => column.header),
+            ...records.map(record => columns.map(column => column.value(record)))
+        ]);
+    }
+
+    /**
+     * Name a custom column so it reads back as the same custom field
+     * Custom field keys are camelCase forms of their headers (see DataProcessor.toFieldKey),
+     * which lowercases headers; the spaced form gives the key back.
+     * @param {string} key - Custom field key, e.g. "labelName"
+     * @returns {string} Header, e.g. "label name"
+     */
+    getColumnHeader(key) {
+        return key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+    }
+
+    /**
+     * Write records as a records.json document the app can load
+     * Derived fields are left out; they are rebuilt on load.
+     * @param {Array} records - Records
+     * @param {string} title - Selection name
+     * @param {Date} date - Export time
+     * @returns {string} JSON text
+     */
+    toJSON(records, title, date) {
+        const omitted = [...CompactDataset.DERIVED_FIELDS, ...RecordExporter.STATE_FIELDS];
+        const exported = records.map(record => {
+            const copy = {};
+            Object.keys(record).forEach(key => {
+                if (!omitted.includes(key)) copy[key] = record[key];
+            });
+            return copy;
+        });
+
+        return JSON.stringify({
+            version: DatasetSchema.VERSION,
+            generatedAt: date.toISOString(),
+            metadata: { export: { title, count: records.length } },
+            records: exported
+        }, null, 2) + '\n';
+    }
+
+    /**
+     * Write records as an extended M3U playlist
+     * There is no audio to point at, so each entry's location is "Artist - Title";
+     * playlist converters match tracks by the #EXTINF line.
+     * @param {Array} records - Records
+     * @param {string} title - Playlist title
+     * @returns {string} M3U text
+     */
+    toM3U(records, title) {
+        const lines = ['#EXTM3U', `#PLAYLIST:${this.toLine(title)}`];
+        records.forEach(record => {
+            const track = this.getTrackName(record);
+            lines.push(`#EXTINF:-1,${track}`);
+            if (record.cover) {
+                lines.push(`#EXTIMG:${record.cover}`);
+            }
+            lines.push(track);
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Write records as an XSPF playlist, with covers as track images
+     * @param {Array} records - Records
+     * @param {string} title - Playlist title
+     * @param {Date} date - Export time
+     * @returns {string} XML text
+     */
+    toXSPF(records, title, date) {
+        const escape = value => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const element = (name, value) => value ? `      <${name}>${escape(value)}</${name}>` : null;
+
+        const tracks = records.map(record => [
+            '    <track>',
+            element('title', record.songTitle),
+            element('creator', record.artist),
+            element('image', record.cover),
+            element('annotation', [record.artworkName, record.genre, record.mood].filter(Boolean).join(' · ')),
+            '    </track>'
+        ].filter(Boolean).join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+            `  <title>${escape(title)}</title>`,
+            '  <creator>DIGGGIN</creator>',
+            `  <date>${date.toISOString()}</date>`,
+            '  <trackList>',
+            ...tracks,
+            '  </trackList>',
+            '</playlist>'
+        ].join('\n') + '\n';
+    }
+
+    /**
+     * Write records as a numbered tracklist
+     * @param {Array} records - Records
+     * @param {string} title - Heading
+     * @returns {string} Plain text
+     */
+    toText(records, title) {
+        const width = String(records.length).length;
+        const lines = records.map((record, index) =>
+            `${String(index + 1).padStart(Math.max(2, width), '0')}. ${this.getTrackName(record)}`);
+        return [this.toLine(title), '', ...lines].join('\n') + '\n';
+    }
+
+    /**
+     * Name a track the way playlists and tracklists show it
+     * @param {Object} record - Record
+     * @returns {string} "Artist - Title"
+     */
+    getTrackName(record) {
+        return this.toLine([record.artist, record.songTitle].filter(Boolean).join(' - '));
+    }
+
+    /**
+     * Keep a value on one line
+     * @param {string} value - Text
+     * @returns {string} Text with line breaks replaced by spaces
+     */
+    toLine(value) {
+        return String(value).replace(/\s*[\r\n]+\s*/g, ' ').trim();
+    }
+
+    /**
+     * Build a file name (without extension) for an export
+     * @param {string} title - Selection name
+     * @param {Date} date - Export time
+     * @returns {string} e.g. "digggin-shoegaze-dreamy-2024-05-01"
+     */
+    getFileStem(title, date) {
+        const slug = title.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, RecordExporter.MAX_SLUG_LENGTH);
+        return ['digggin', slug, date.toISOString().slice(0, 10)].filter(Boolean).join('-');
+    }
+
+    /**
+     * Export records and save the file (browser only)
+     * @param {Array} records - Records
+     * @param {string} format - Key of RecordExporter.FORMATS
+     * @param {Object} options - See export
+     * @returns {string} File name
+     */
+    download(records, format, options = {}) {
+        const { text, filename, type } = this.export(records, format, options);
+        const blob = new Blob([text], { type });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        return filename;
+    }
+}
+
+/**
+ * Export formats: label shown in the UI, file extension and MIME type
+ */
+RecordExporter.FORMATS = {
+    csv: { label: 'CSV (DiggerDB columns)', extension: 'csv', type: 'text/csv' },
+    json: { label: 'JSON (records.json)', extension: 'json', type: 'application/json' },
+    m3u: { label: 'M3U playlist', extension: 'm3u', type: 'audio/x-mpegurl' },
+    xspf: { label: 'XSPF playlist', extension: 'xspf', type: 'application/xspf+xml' },
+    txt: { label: 'Tracklist (text)', extension: 'txt', type: 'text/plain' }
+};
+
+/**
+ * DiggerDB.csv's columns and how each is filled from a record
+ * Colors go in "year", as in the catalog, with their temperature and tones.
+ */
+RecordExporter.CSV_COLUMNS = [
+    { header: 'cover', value: record => record.cover },
+    { header: 'artwork name', value: record => record.artworkName },
+    { header: 'song genre', value: record => record.genre },
+    { header: 'artist', value: record => record.artist },
+    { header: 'song title', value: record => record.songTitle },
+    { header: 'artistic category', value: record => record.artisticCategory },
+    { header: 'mood', value: record => (record.moods || []).join(', ') || record.mood },
+    {
+        header: 'year',
+        value: record => [...(record.colors || []), record.colorTemperature, ...(record.colorTones || [])]
+            .filter(Boolean).join(', ')
+    },
+    { header: 'collections', value: record => (record.collections || []).join(', ') }
+];
+
+/**
+ * Display state the app keeps on records, left out of JSON exports
+ */
+RecordExporter.STATE_FIELDS = ['textureLoaded', 'visible'];
+
+/**
+ * Name used when a selection has none
+ */
+RecordExporter.DEFAULT_TITLE = 'Selection';
+
+/**
+ * Longest selection name kept in file names
+ */
+RecordExporter.MAX_SLUG_LENGTH = 60;
+
+// Export for use in other modules
+window.RecordExporter = RecordExporter;
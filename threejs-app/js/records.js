@@ -3,18 +3,43 @@
  */
 
 class RecordManager {
-    constructor(sceneManager, dataProcessor) {
+    /**
+     * @param {SceneManager} sceneManager - 3D scene
+     * @param {DataProcessor} dataProcessor - Main-thread record store
+     * @param {DataService} dataService - Service that parses and filters (in-thread if omitted)
+     */
+    constructor(sceneManager, dataProcessor, dataService) {
         this.scene = sceneManager;
         this.data = dataProcessor;
+        this.service = dataService || new DataService({ processor: dataProcessor, useWorker: false });
         this.currentRecords = [];
+        this.resultRecords = []; // Full ordered result set, paged into displayedRecords
+        this.unloadedResults = 0; // Results still in shards not loaded yet (see isShardOrdered)
         this.displayedRecords = [];
-        this.currentFilters = {};
         this.maxDisplayRecords = 100; // Limit for performance
         this.precomputedFilterOptions = null; // For JSON data
+        this.shards = null; // DatasetShards while records come from a sharded catalog
+        this.indexOrder = null; // { genres, moods } behind genreIndex/moodIndex
+        this.newSince = null; // Records added after this time are new arrivals (see updateLastVisit)
+        this.changelog = []; // Changes between dataset versions, newest first
+        this.facetCounts = {};
+        this.queryGeneration = 0; // Discards results of superseded queries
+        
+        // Query, page and ordering live in the URL so shared links show the same crates
+        const urlState = this.readURLState();
+        this.currentFilters = urlState.filters;
+        this.currentPage = urlState.page;
+        this.urlPage = urlState.page; // Shown once loading ends (see restoreURLPage)
+        this.sortMode = urlState.sortMode;
+        this.shuffleSeed = urlState.seed;
         
         // State
         this.isLoading = false;
         this.selectedRecord = null;
+        this.relatedRecords = []; // "More like this" picks for the selected record
+        this.picks = []; // Records hand-picked for export, in the order they were picked
+        this.paletteExtractor = new PaletteExtractor({ vocabulary: dataProcessor.colorVocabulary });
+        this.exporter = new RecordExporter();
         
         this.setupEventListeners();
     }
@@ -27,19 +52,17 @@ class RecordManager {
         this.setLoading(true);
         
         try {
-            // Process CSV data
-            this.currentRecords = this.data.parseCSV(csvData);
-            console.log('Loaded records:', this.currentRecords.length);
-            
-            // Get initial set of records to display
-            this.displayedRecords = this.getRecordsToDisplay();
+            this.shards = null;
             
-            // Position records in 3D scene
-            this.scene.positionRecords(this.displayedRecords);
+            // Parse and index off the main thread
+            this.currentRecords = await this.service.loadCSV(csvData, progress => this.showLoadingProgress(progress));
+            console.log('Loaded records:', this.currentRecords.length);
+            this.applyMetadata(null);
             
-            // Update UI
-            this.updateStats();
+            // Update filter UI, then show the first page
             this.populateFilterOptions();
+            await this.refreshResults();
+            await this.restoreURLPage();
             
             console.log('Records loaded and positioned successfully');
         } catch (error) {
@@ -58,24 +81,24 @@ class RecordManager {
         this.setLoading(true);
         
         try {
-            // Use records directly from JSON
-            this.currentRecords = jsonData.records || [];
+            // Check the file and upgrade older versions (genres/moods are canonicalized on load)
+            const { document, report } = new DatasetSchema().upgrade(jsonData);
+            this.reportDataset(report);
+            this.shards = null;
+            this.currentRecords = await this.service.loadRecords(document.records,
+                progress => this.showLoadingProgress(progress));
             console.log('Loaded records from JSON:', this.currentRecords.length);
             
             // Use pre-computed filter options if available
-            if (jsonData.filterOptions) {
-                this.precomputedFilterOptions = jsonData.filterOptions;
+            if (document.filterOptions) {
+                this.precomputedFilterOptions = document.filterOptions;
             }
+            this.applyMetadata(document.metadata);
             
-            // Get initial set of records to display
-            this.displayedRecords = this.getRecordsToDisplay();
-            
-            // Position records in 3D scene
-            this.scene.positionRecords(this.displayedRecords);
-            
-            // Update UI
-            this.updateStats();
+            // Update filter UI, then show the first page
             this.populateFilterOptions();
+            await this.refreshResults();
+            await this.restoreURLPage();
             
             console.log('Records loaded from JSON and positioned successfully');
         } catch (error) {
@@ -87,41 +110,477 @@ class RecordManager {
     }
 
     /**
-     * Get records to display based on current filters
-     * @returns {Array} Records to display
+     * Stream records from a fetch response, showing them in crates as they arrive
+     * Progress (bytes and records) is shown while the body downloads; errors are
+     * thrown so the caller can fall back to another source.
+     * @param {Response} response - Fetch response for a CSV file or records.json
+     * @param {string} format - 'csv' or 'json'
+     * @returns {Promise<Array>} All loaded records
      */
-    getRecordsToDisplay() {
-        let filteredRecords = this.data.filterRecords(this.currentFilters);
+    async loadFromResponse(response, format) {
+        this.setLoading(true);
         
-        // Shuffle for variety
-        filteredRecords = filteredRecords.sort(() => 0.5 - Math.random());
+        try {
+            await this.service.beginLoad(format);
+            this.currentRecords = this.data.records;
+            this.precomputedFilterOptions = null;
+            this.shards = null;
+            
+            let lastRefresh = 0;
+            await this.streamResponse(response, async (chunk, loadedBytes, totalBytes) => {
+                const records = await this.service.appendLoad(chunk);
+                this.showLoadProgress(loadedBytes, totalBytes);
+                
+                // Refresh the crates now and then rather than on every chunk
+                const now = performance.now();
+                if (records.length > 0 && now - lastRefresh >= RecordManager.STREAM_REFRESH_INTERVAL) {
+                    lastRefresh = now;
+                    await this.refreshResults({ facetCounts: false });
+                    this.setStreaming(true);
+                }
+            });
+            
+            const result = await this.service.endLoad(progress => this.showLoadingProgress(progress));
+            if (result.dataset) {
+                this.reportDataset(result.dataset);
+            }
+            if (result.filterOptions) {
+                this.precomputedFilterOptions = result.filterOptions;
+            }
+            this.applyMetadata(result.metadata);
+            console.log(`Streamed ${this.currentRecords.length} records from ${format.toUpperCase()}`);
+            
+            this.populateFilterOptions();
+            await this.refreshResults();
+            await this.restoreURLPage();
+            return this.currentRecords;
+        } finally {
+            this.setLoading(false);
+        }
+    }
+
+    /**
+     * Start browsing a sharded catalog (see DataConverter.buildShards)
+     * Filter options, facet counts and statistics come from the manifest straight
+     * away; shards are fetched as the filters and pages need them (see refreshResults),
+     * so the first page only waits for the first shards.
+     * @param {Object} manifest - Parsed manifest
+     * @param {string} manifestURL - Absolute manifest URL, which shard files are relative to
+     * @returns {Promise<Array>} Records loaded for the first page
+     */
+    async loadFromManifest(manifest, manifestURL) {
+        this.setLoading(true);
         
-        // Limit for performance
-        return filteredRecords.slice(0, this.maxDisplayRecords);
+        try {
+            const shards = new DatasetShards(manifest, manifestURL);
+            await this.service.loadRecords([]);
+            this.shards = shards;
+            this.currentRecords = this.data.records;
+            this.precomputedFilterOptions = manifest.filterOptions || null;
+            this.facetCounts = manifest.facetCounts || {};
+            this.applyMetadata(manifest.metadata);
+            
+            this.populateFilterOptions();
+            await this.refreshResults();
+            await this.restoreURLPage();
+            console.log(`Loaded ${this.currentRecords.length} of ${shards.getTotal()} records from ${manifest.shards.length} shards`);
+            return this.currentRecords;
+        } finally {
+            this.setLoading(false);
+        }
     }
 
     /**
-     * Apply filters and update display
+     * Take what the records need from a dataset's metadata: the index order and the changelog
+     * @param {Object} metadata - Dataset metadata (see DataConverter.convertData), or null
+     */
+    applyMetadata(metadata) {
+        this.setIndexOrder(metadata);
+        this.changelog = (metadata && metadata.changelog) || [];
+        this.updateLastVisit();
+    }
+
+    /**
+     * Work out what counts as new for this visitor and remember this visit
+     * New arrivals are records added after the dataset version seen on the previous
+     * visit; they stay new across reloads until another version is deployed.
+     */
+    updateLastVisit() {
+        const latest = this.changelog[0];
+        this.newSince = null;
+        if (!latest || !latest.generatedAt) return;
+
+        try {
+            const visit = JSON.parse(localStorage.getItem(RecordManager.VISIT_KEY) || 'null');
+            if (visit && visit.seen) {
+                this.newSince = visit.seen === latest.generatedAt ? visit.since : visit.seen;
+            }
+            localStorage.setItem(RecordManager.VISIT_KEY,
+                JSON.stringify({ seen: latest.generatedAt, since: this.newSince }));
+        } catch (error) {
+            // Storage can be unavailable (private browsing) or hold something else
+            console.warn('Last visit could not be read or saved:', error.message);
+        }
+    }
+
+    /**
+     * Count the records added since the last visit
+     * Until a sharded catalog is fully loaded the count comes from its changelog.
+     * @returns {number} New arrivals
+     */
+    getArrivalCount() {
+        if (!this.newSince) return 0;
+        if (this.shards && !this.shards.isComplete()) {
+            return this.changelog
+                .filter(entry => entry.generatedAt > this.newSince)
+                .reduce((sum, entry) => sum + entry.added, 0);
+        }
+        return this.data.records.filter(record => this.data.matchesArrival(record, { newSince: this.newSince })).length;
+    }
+
+    /**
+     * Show or hide only the records added since the last visit
+     */
+    toggleNewArrivals() {
+        if (!this.newSince) return;
+        this.applyFilters({
+            ...this.currentFilters,
+            newSince: this.currentFilters.newSince ? undefined : this.newSince
+        });
+        this.updateFilterUI();
+    }
+
+    /**
+     * Take the genre/mood order behind genreIndex and moodIndex from a dataset's metadata
+     * CSV data and files without one are numbered here from the loaded records.
+     * @param {Object} metadata - Dataset metadata (see DataConverter.convertData), or null
+     */
+    setIndexOrder(metadata) {
+        this.indexOrder = (metadata && metadata.indexOrder) || null;
+        if (!this.indexOrder) {
+            this.indexOrder = this.data.getIndexOrder();
+            this.data.addIndexes(this.currentRecords, this.indexOrder);
+        }
+    }
+
+    /**
+     * Get the order of top-level genres and moods that genreIndex and moodIndex refer to
+     * @returns {Object} { genres, moods }
+     */
+    getIndexOrder() {
+        return this.indexOrder || { genres: [], moods: [] };
+    }
+
+    /**
+     * Log how a records.json file was loaded: its version, upgrades and skipped records
+     * @param {Object} report - Load report (see DatasetSchema.upgrade)
+     */
+    reportDataset(report) {
+        if (report.migrated.length > 0) {
+            console.log(`Dataset version ${report.sourceVersion} upgraded (${report.migrated.join(', ')})`);
+        }
+        if (report.skipped > 0) {
+            console.warn(`Skipped ${report.skipped} invalid record(s) in dataset: ` +
+                new DatasetSchema().describeIssues(report.issues), report.issues);
+        }
+    }
+
+    /**
+     * Read a response body as decoded text chunks
+     * Falls back to a single chunk where streaming bodies are not supported.
+     * @param {Response} response - Fetch response
+     * @param {Function} onChunk - Awaited with (text, loadedBytes, totalBytes); totalBytes is 0 when unknown
+     */
+    async streamResponse(response, onChunk) {
+        const totalBytes = parseInt(response.headers.get('Content-Length'), 10) || 0;
+        
+        if (!response.body || typeof response.body.getReader !== 'function') {
+            const text = await response.text();
+            await onChunk(text, totalBytes || text.length, totalBytes || text.length);
+            return;
+        }
+        
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let loadedBytes = 0;
+        
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            
+            loadedBytes += value.byteLength;
+            await onChunk(decoder.decode(value, { stream: true }), loadedBytes, totalBytes);
+        }
+        
+        const rest = decoder.decode();
+        if (rest) {
+            await onChunk(rest, loadedBytes, totalBytes);
+        }
+    }
+
+    /**
+     * Re-run the current filters and show the current page
+     * The full ordered result is kept in resultRecords. Results of a query that was
+     * overtaken by a newer one (e.g. while typing) are dropped.
+     * @param {Object} options - { facetCounts: false } keeps the current chip counts
+     * @returns {Promise<boolean>} Whether this query's results were shown
+     */
+    async refreshResults(options = {}) {
+        const generation = ++this.queryGeneration;
+        
+        // A sharded catalog first fetches the shards these filters need; browsed in
+        // shard order, only those filling the pages up to the current one
+        const limit = this.isShardOrdered() ? (this.currentPage + 1) * this.getPageSize() : Infinity;
+        if (this.shards && !await this.loadShards(this.currentFilters, generation, limit)) {
+            return false;
+        }
+        return this.showResults(generation, options);
+    }
+
+    /**
+     * Whether results go through a sharded catalog shard by shard
+     * Unfiltered, in one of RecordManager.SHARD_ORDERED_SORTS, every record matches and
+     * the order only matters within a shard, so pages can be filled from the first
+     * shards. Other queries rank records across the whole catalog and need every shard.
+     * @returns {boolean} Results are in shard order
+     */
+    isShardOrdered() {
+        return !!this.shards && !this.shards.hasFilters(this.currentFilters) &&
+            RecordManager.SHARD_ORDERED_SORTS.includes(this.sortMode);
+    }
+
+    /**
+     * Query the loaded records and show the current page
+     * @param {number} generation - Query generation the results belong to
+     * @param {Object} options - See refreshResults
+     * @returns {Promise<boolean>} Whether the results were shown
+     */
+    async showResults(generation, options = {}) {
+        // Deterministic order: the same filters, mode and seed always give the same crates
+        const { records, facetCounts } = await this.service.query(this.currentFilters, {
+            sortMode: this.sortMode,
+            seed: this.shuffleSeed,
+            facetCounts: options.facetCounts
+        });
+        if (generation !== this.queryGeneration) {
+            return false;
+        }
+        
+        const shardOrdered = this.isShardOrdered();
+        this.resultRecords = shardOrdered ? this.shards.orderByShard(records) : records;
+        this.unloadedResults = shardOrdered ? this.shards.getUnloadedCount() : 0;
+        this.displayedRecords = this.getPageRecords();
+        this.updateURLState();
+        
+        this.positionDisplayedRecords();
+        this.updateStats();
+        if (facetCounts) {
+            this.facetCounts = this.shards
+                ? this.shards.completeFacetCounts(facetCounts, this.currentFilters)
+                : facetCounts;
+            this.updateFacetCounts();
+        }
+        return true;
+    }
+
+    /**
+     * Fetch the shards filters need that aren't loaded yet
+     * Crates are refreshed now and then as shards arrive, like a streamed load.
      * @param {Object} filters - Filter criteria
+     * @param {number} generation - Query generation waiting for the shards
+     * @param {number} limit - Only fetch the first shards holding this many records
+     *   (see DatasetShards.getMissingShards)
+     * @returns {Promise<boolean>} False when a newer query took over meanwhile
      */
-    applyFilters(filters) {
-        this.currentFilters = { ...filters };
-        this.displayedRecords = this.getRecordsToDisplay();
+    async loadShards(filters, generation, limit = Infinity) {
+        const missing = this.shards.getMissingShards(filters, this.data.taxonomy, limit);
+        if (missing.length === 0) {
+            return generation === this.queryGeneration;
+        }
+        
+        const showLoading = !this.isLoading;
+        if (showLoading) this.setLoading(true);
         
-        // Update 3D scene
-        this.scene.positionRecords(this.displayedRecords);
+        try {
+            let lastRefresh = 0;
+            await Promise.all(missing.map(shard => this.shards.load(shard, url => this.fetchShard(url)).then(async () => {
+                const now = performance.now();
+                if (generation === this.queryGeneration && now - lastRefresh >= RecordManager.STREAM_REFRESH_INTERVAL) {
+                    lastRefresh = now;
+                    await this.showResults(generation, { facetCounts: false });
+                    this.setStreaming(true);
+                }
+            })));
+        } finally {
+            if (showLoading) this.setLoading(false);
+        }
+        return generation === this.queryGeneration;
+    }
+
+    /**
+     * Fetch one shard and add its records
+     * @param {string} url - Shard URL
+     * @returns {Promise<Array>} Added records
+     */
+    async fetchShard(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch shard ${url}: ${response.status}`);
+        }
+        
+        const { records, dataset } = await this.service.appendDocument(await response.text());
+        this.reportDataset(dataset);
+        return records;
+    }
+
+    /**
+     * Put the displayed records in the crates
+     * Ordered through the decades, by genre or by mood, the crates become an aisle signed
+     * with what they hold; genres and moods follow genreIndex and moodIndex.
+     */
+    positionDisplayedRecords() {
+        const order = this.getIndexOrder();
+        const crateLabels = {
+            decades: record => record.decade ? this.data.getDecadeLabel(record.decade) : 'Year unknown',
+            genre: record => order.genres[record.genreIndex] || 'Other genres',
+            mood: record => order.moods[record.moodIndex] || 'No mood'
+        };
+        const options = crateLabels[this.sortMode] ? { crateLabel: crateLabels[this.sortMode] } : {};
+        if (this.newSince) {
+            options.isNew = record => this.data.matchesArrival(record, { newSince: this.newSince });
+        }
+        this.scene.positionRecords(this.displayedRecords, options);
+    }
+
+    /**
+     * Number of records per page: the display limit, capped by the crates in the scene
+     * @returns {number} Page size
+     */
+    getPageSize() {
+        return Math.max(1, Math.min(this.maxDisplayRecords, this.scene.getCapacity()));
+    }
+
+    /**
+     * Get the records on the current page
+     * @returns {Array} Records for the current page
+     */
+    getPageRecords() {
+        const pageSize = this.getPageSize();
+        const total = this.resultRecords.length + this.unloadedResults;
+        const lastPage = Math.max(0, Math.ceil(total / pageSize) - 1);
+        this.currentPage = Math.min(Math.max(0, this.currentPage), lastPage);
+
+        const start = this.currentPage * pageSize;
+        return this.resultRecords.slice(start, start + pageSize);
+    }
+
+    /**
+     * Get paging details for the current result set
+     * @returns {Object} { page, pageCount, start, end, total } - start/end are 1-based and inclusive
+     */
+    getPageInfo() {
+        const pageSize = this.getPageSize();
+        const total = this.resultRecords.length + this.unloadedResults;
+        const start = total === 0 ? 0 : this.currentPage * pageSize + 1;
+
+        return {
+            page: this.currentPage,
+            pageCount: Math.max(1, Math.ceil(total / pageSize)),
+            start,
+            end: Math.min(total, this.currentPage * pageSize + pageSize),
+            total
+        };
+    }
+
+    /**
+     * Show a page of the current result set
+     * @param {number} page - Page index (0-based), clamped to the available pages
+     * @returns {Promise<boolean>} Whether the page was shown
+     */
+    async goToPage(page) {
+        const previousPage = this.currentPage;
+        this.currentPage = page;
         
-        // Update UI
+        // Pages past the loaded shards wait for the shards that fill them
+        if (this.unloadedResults > 0 &&
+            this.shards.getMissingShards(this.currentFilters, this.data.taxonomy, (page + 1) * this.getPageSize()).length > 0) {
+            try {
+                return await this.refreshResults({ facetCounts: false });
+            } catch (error) {
+                console.error('Error loading page:', error);
+                this.currentPage = previousPage;
+                this.showError('Failed to load these crates. Please check your connection.');
+                return false;
+            }
+        }
+        this.displayedRecords = this.getPageRecords();
+        this.updateURLState();
+        this.positionDisplayedRecords();
         this.updateStats();
+        return true;
+    }
+
+    /**
+     * Show the page a shared link points at once the records are in
+     * Streamed loads clamp the page to the records that have arrived so far.
+     * @returns {Promise} Resolves once the page is shown
+     */
+    async restoreURLPage() {
+        const page = this.urlPage;
+        this.urlPage = 0;
+        if (page > 0 && page !== this.currentPage) {
+            await this.goToPage(page);
+        }
+    }
+
+    /**
+     * Show the next crates
+     * @returns {Promise<boolean>} Whether the page changed
+     */
+    async nextPage() {
+        const { page, pageCount } = this.getPageInfo();
+        if (page >= pageCount - 1) return false;
+        return this.goToPage(page + 1);
+    }
+
+    /**
+     * Show the previous crates
+     * @returns {Promise<boolean>} Whether the page changed
+     */
+    async previousPage() {
+        const { page } = this.getPageInfo();
+        if (page <= 0) return false;
+        return this.goToPage(page - 1);
+    }
+
+    /**
+     * Apply filters and update display
+     * @param {Object} filters - Filter criteria
+     * @returns {Promise} Resolves once the display is updated
+     */
+    async applyFilters(filters) {
+        this.currentFilters = { ...filters };
+        this.currentPage = 0;
         
-        console.log('Applied filters:', filters, 'Showing:', this.displayedRecords.length);
+        try {
+            if (await this.refreshResults()) {
+                console.log('Applied filters:', filters, 'Showing:', this.displayedRecords.length);
+            }
+        } catch (error) {
+            console.error('Error applying filters:', error);
+        }
     }
 
     /**
-     * Search records by text
+     * Search records by text or query (e.g. artist:"Tame Impala" -genre:indie)
+     * Invalid queries show syntax hints and are searched as plain text meanwhile
+     * (see DataProcessor.filterRecords).
      * @param {string} searchTerm - Search term
      */
     searchRecords(searchTerm) {
+        if (this.searchHints) {
+            this.searchHints.show(this.data.parseQuery(searchTerm).errors);
+        }
         this.applyFilters({
             ...this.currentFilters,
             search: searchTerm
@@ -129,36 +588,69 @@ class RecordManager {
     }
 
     /**
-     * Filter by genre
-     * @param {string} genre - Genre name
+     * Set the selected values of one facet
+     * @param {string} facet - Facet name (see DataProcessor.FACETS)
+     * @param {string|Array} values - Selected value(s); empty clears the facet
+     * @param {string} mode - 'any' (OR) or 'all' (AND) within the facet
      */
-    filterByGenre(genre) {
+    setFacet(facet, values, mode) {
+        const selected = (Array.isArray(values) ? values : [values]).filter(Boolean);
+        const facetModes = { ...this.currentFilters.facetModes };
+        if (mode) {
+            facetModes[facet] = mode;
+        }
+
         this.applyFilters({
             ...this.currentFilters,
-            genre: genre || undefined
+            [facet]: selected.length > 0 ? selected : undefined,
+            facetModes
         });
+        this.updateFilterUI();
     }
 
     /**
-     * Filter by mood
-     * @param {string} mood - Mood name
+     * Limit the results to a release year range
+     * @param {number|null} from - First year, null for no lower bound
+     * @param {number|null} to - Last year, null for no upper bound
      */
-    filterByMood(mood) {
+    setYearRange(from, to) {
         this.applyFilters({
             ...this.currentFilters,
-            mood: mood || undefined
+            yearFrom: from || undefined,
+            yearTo: to || undefined
         });
     }
 
+    /**
+     * Filter by genre
+     * @param {string|Array} genre - Genre name(s)
+     */
+    filterByGenre(genre) {
+        this.setFacet('genre', genre);
+    }
+
+    /**
+     * Filter by mood
+     * @param {string|Array} mood - Mood name(s)
+     */
+    filterByMood(mood) {
+        this.setFacet('mood', mood);
+    }
+
     /**
      * Filter by artist
-     * @param {string} artist - Artist name
+     * @param {string|Array} artist - Artist name(s)
      */
     filterByArtist(artist) {
-        this.applyFilters({
-            ...this.currentFilters,
-            artist: artist || undefined
-        });
+        this.setFacet('artist', artist);
+    }
+
+    /**
+     * Filter by color
+     * @param {string|Array} color - Color name(s)
+     */
+    filterByColor(color) {
+        this.setFacet('color', color);
     }
 
     /**
@@ -166,30 +658,153 @@ class RecordManager {
      */
     clearFilters() {
         this.currentFilters = {};
-        this.displayedRecords = this.getRecordsToDisplay();
-        this.scene.positionRecords(this.displayedRecords);
-        this.updateStats();
+        this.currentPage = 0;
+        if (this.searchHints) {
+            this.searchHints.show([]);
+        }
         this.updateFilterUI();
+        this.applyFilters({});
     }
 
     /**
      * Get a random selection of records
      * @param {number} count - Number of records
      */
-    getRandomSelection(count = 50) {
-        this.displayedRecords = this.data.getRandomRecords(count);
-        this.scene.positionRecords(this.displayedRecords);
+    async getRandomSelection(count = 50) {
+        this.shuffleSeed = DataProcessor.createSeed();
+        this.updateURLState();
+        const generation = ++this.queryGeneration;
+        if (this.shards && !await this.loadShards({}, generation)) return;
+        
+        const records = await this.service.getRandomRecords(count, this.shuffleSeed);
+        if (generation !== this.queryGeneration) return;
+        
+        this.resultRecords = records;
+        this.unloadedResults = 0;
+        this.currentPage = 0;
+        this.displayedRecords = this.getPageRecords();
+        this.positionDisplayedRecords();
         this.updateStats();
     }
 
+    /**
+     * Change how displayed records are ordered
+     * @param {string} mode - Sort mode (see DataProcessor.SORT_MODES)
+     * @param {number} seed - Optional shuffle seed; a new one is picked when reshuffling
+     */
+    setSortMode(mode, seed) {
+        if (!DataProcessor.SORT_MODES[mode]) {
+            console.warn(`Unknown sort mode "${mode}"`);
+            return;
+        }
+
+        this.sortMode = mode;
+        if (seed) {
+            this.shuffleSeed = seed;
+        }
+        this.updateURLState();
+        this.updateSortUI();
+        this.applyFilters(this.currentFilters);
+    }
+
+    /**
+     * Pick a new shuffle seed and reorder
+     */
+    reshuffle() {
+        this.setSortMode(this.sortMode === 'relevance' ? 'relevance' : 'shuffle', DataProcessor.createSeed());
+    }
+
+    /**
+     * Read the query, page and ordering from the page URL
+     * e.g. ?q=dream&genre=Rock&genre=Jazz&genreMode=all&from=1970&to=1989&page=2&sort=artist&seed=1234
+     * Facets repeat their parameter per value; the page is 1-based.
+     * @returns {Object} { filters, page, sortMode, seed }
+     */
+    readURLState() {
+        const params = new URLSearchParams(window.location.search);
+        const sortMode = params.get('sort');
+        const seed = parseInt(params.get('seed'), 10);
+        const page = parseInt(params.get('page'), 10);
+        const year = name => parseInt(params.get(name), 10) || undefined;
+
+        const filters = {};
+        const facetModes = {};
+        Object.keys(DataProcessor.FACETS).forEach(facet => {
+            const values = params.getAll(facet).filter(Boolean);
+            if (values.length > 0) {
+                filters[facet] = values;
+            }
+            if (params.get(`${facet}Mode`) === 'all') {
+                facetModes[facet] = 'all';
+            }
+        });
+        if (params.get('q')) filters.search = params.get('q');
+        if (year('from')) filters.yearFrom = year('from');
+        if (year('to')) filters.yearTo = year('to');
+        if (params.get('new')) filters.newSince = params.get('new');
+        if (Object.keys(facetModes).length > 0) filters.facetModes = facetModes;
+
+        return {
+            filters,
+            page: page > 1 ? page - 1 : 0,
+            sortMode: DataProcessor.SORT_MODES[sortMode] ? sortMode : 'relevance',
+            seed: seed > 0 ? seed : DataProcessor.createSeed()
+        };
+    }
+
+    /**
+     * Write the query, page and ordering to the page URL without adding history entries
+     * (see readURLState); empty filters are left out.
+     */
+    updateURLState() {
+        const url = new URL(window.location.href);
+        const params = url.searchParams;
+        const filters = this.currentFilters;
+        const facetModes = filters.facetModes || {};
+        const setParam = (name, value) => {
+            if (value) {
+                params.set(name, value);
+            } else {
+                params.delete(name);
+            }
+        };
+
+        setParam('q', filters.search);
+        Object.keys(DataProcessor.FACETS).forEach(facet => {
+            params.delete(facet);
+            [].concat(filters[facet] || []).forEach(value => params.append(facet, value));
+            setParam(`${facet}Mode`, filters[facet] && facetModes[facet] === 'all' ? 'all' : null);
+        });
+        setParam('from', filters.yearFrom);
+        setParam('to', filters.yearTo);
+        setParam('new', filters.newSince);
+        setParam('page', this.currentPage > 0 ? this.currentPage + 1 : null);
+        params.set('sort', this.sortMode);
+        params.set('seed', this.shuffleSeed);
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    /**
+     * Sync the sort selector with the current mode
+     */
+    updateSortUI() {
+        const sortSelect = document.getElementById('sort-mode');
+        if (sortSelect) {
+            sortSelect.value = this.sortMode;
+        }
+    }
+
     /**
      * Get records by genre for organized browsing
      * @param {string} genre - Genre to display
      */
     browseByGenre(genre) {
-        const genreRecords = this.currentRecords.filter(r => r.genre === genre);
-        this.displayedRecords = genreRecords.slice(0, this.maxDisplayRecords);
-        this.scene.positionRecords(this.displayedRecords);
+        this.queryGeneration++;
+        this.resultRecords = this.currentRecords.filter(r => this.data.matchesGenre(r, genre));
+        this.unloadedResults = 0;
+        this.currentPage = 0;
+        this.displayedRecords = this.getPageRecords();
+        this.positionDisplayedRecords();
         this.updateStats();
     }
 
@@ -255,7 +870,9 @@ class RecordManager {
                 ${record.colors.length > 0 ? `
                 <div class="record-field">
                     <label>Colors:</label>
-                    <span class="value">${record.colors.join(', ')}</span>
+                    <span class="value">${record.colors.map((color, i) => `
+                        <span class="color-swatch" style="background: ${(record.palette || [])[i]}" title="${(record.palette || [])[i]}"></span>${color}`).join(', ')}</span>
+                    <span class="color-attributes">${[record.colorTemperature, ...(record.colorTones || [])].filter(Boolean).join(' · ')}</span>
                 </div>
                 ` : ''}
                 
@@ -273,9 +890,245 @@ class RecordManager {
                     <button onclick="recordManager.focusOnArtist('${record.artist}')" class="action-btn">
                         More by ${record.artist}
                     </button>
+                    <button id="pick-record-btn" class="action-btn" aria-pressed="false"></button>
+                </div>
+                
+                <div class="record-field" id="cover-palette-field" hidden>
+                    <label>Cover palette:</label>
+                    <span class="value" id="cover-palette"></span>
+                </div>
+                
+                <div class="record-field related">
+                    <label>More like this:</label>
+                    <div class="related-records" id="related-records">
+                        <span class="related-empty">Finding related covers…</span>
+                    </div>
                 </div>
             </div>
         `;
+        
+        const pickButton = document.getElementById('pick-record-btn');
+        if (pickButton) {
+            pickButton.addEventListener('click', () => this.togglePick(record));
+        }
+        this.updatePicksUI();
+        
+        this.showCoverPalette(record);
+        this.showRelatedRecords(record);
+    }
+
+    /**
+     * Add a record to the picks, or take it out again
+     * @param {Object} record - Record data
+     */
+    togglePick(record) {
+        const index = this.picks.indexOf(record);
+        if (index >= 0) {
+            this.picks.splice(index, 1);
+        } else {
+            this.picks.push(record);
+        }
+        this.updatePicksUI();
+    }
+
+    /**
+     * Sync the pick button of the selected record and the picks count in the export scope
+     */
+    updatePicksUI() {
+        const pickButton = document.getElementById('pick-record-btn');
+        if (pickButton && this.selectedRecord) {
+            const picked = this.picks.includes(this.selectedRecord);
+            pickButton.textContent = picked ? '✓ Picked' : '+ Pick for export';
+            pickButton.setAttribute('aria-pressed', picked ? 'true' : 'false');
+        }
+
+        const picksOption = document.querySelector('#export-scope option[value="picks"]');
+        if (picksOption) {
+            picksOption.textContent = `Picks (${this.picks.length})`;
+        }
+    }
+
+    /**
+     * Save the current results or the picks as a file
+     * @param {string} scope - 'results' (every page of the filtered records) or 'picks'
+     * @param {string} format - Key of RecordExporter.FORMATS
+     * @returns {Promise} Resolves once the file is saved
+     */
+    async exportRecords(scope, format) {
+        try {
+            // Results of a sharded catalog browsed page by page still have shards to fetch
+            if (scope !== 'picks' && this.unloadedResults > 0) {
+                const generation = ++this.queryGeneration;
+                if (!await this.loadShards(this.currentFilters, generation) ||
+                    !await this.showResults(generation, { facetCounts: false })) {
+                    return;
+                }
+            }
+
+            const records = scope === 'picks' ? this.picks : this.resultRecords;
+            if (records.length === 0) {
+                this.showError(scope === 'picks'
+                    ? 'No records picked yet. Select a record and choose "Pick for export".'
+                    : 'No records match the current filters.');
+                return;
+            }
+
+            const filename = this.exporter.download(records, format, {
+                title: scope === 'picks' ? 'Picks' : this.describeFilters()
+            });
+            const status = document.getElementById('export-status');
+            if (status) {
+                status.textContent = `Saved ${records.length} records to ${filename}`;
+            }
+        } catch (error) {
+            console.error('Error exporting records:', error);
+            this.showError('Failed to export records. Please try again.');
+        }
+    }
+
+    /**
+     * Describe the current filters in a few words, e.g. "Shoegaze · Dreamy · 1990–1999"
+     * @returns {string} Description, "All records" without filters
+     */
+    describeFilters() {
+        const filters = this.currentFilters;
+        const parts = [];
+        if (filters.search && filters.search.trim()) {
+            parts.push(filters.search.trim());
+        }
+        Object.keys(DataProcessor.FACETS).forEach(facet => {
+            parts.push(...[].concat(filters[facet] || []).filter(Boolean));
+        });
+        if (filters.yearFrom || filters.yearTo) {
+            parts.push(`${filters.yearFrom || '…'}–${filters.yearTo || '…'}`);
+        }
+        if (filters.newSince) {
+            parts.push('New arrivals');
+        }
+        return parts.length > 0 ? parts.join(' · ') : 'All records';
+    }
+
+    /**
+     * Show the dominant colors of a record's cover
+     * Palettes from the converter are used as-is; otherwise the cover is analyzed
+     * here once (when its host allows CORS) and the result kept on the record.
+     * @param {Object} record - Selected record
+     * @returns {Promise} Resolves once the palette is shown
+     */
+    async showCoverPalette(record) {
+        if (!record.coverPalette && record.cover) {
+            try {
+                const { palette, colors } = await this.paletteExtractor.extractFromURL(record.cover);
+                record.coverPalette = palette;
+                record.coverColors = colors;
+            } catch (error) {
+                console.warn('Cover palette unavailable:', error.message);
+                return;
+            }
+        }
+        
+        const field = document.getElementById('cover-palette-field');
+        const container = document.getElementById('cover-palette');
+        if (!field || !container || this.selectedRecord !== record || !record.coverPalette) return;
+        
+        container.innerHTML = '';
+        record.coverPalette.forEach(({ hex, share }) => {
+            const swatch = document.createElement('span');
+            swatch.className = 'color-swatch';
+            swatch.style.background = hex;
+            swatch.title = `${hex} · ${Math.round(share * 100)}% of the cover`;
+            container.appendChild(swatch);
+        });
+        container.appendChild(document.createTextNode((record.coverColors || []).join(', ')));
+        
+        const mismatch = record.colorMismatch || this.paletteExtractor.findMismatch(record.colors, record.coverColors);
+        if (mismatch) {
+            const note = document.createElement('span');
+            note.className = 'color-attributes';
+            note.textContent = `Tagged ${mismatch.tagged.join(', ')}, but the cover looks ${mismatch.found.join(', ')}`;
+            container.appendChild(note);
+        }
+        field.hidden = false;
+    }
+
+    /**
+     * Show the covers most like a record in the details panel
+     * @param {Object} record - Selected record
+     * @returns {Promise} Resolves once the covers are shown
+     */
+    async showRelatedRecords(record) {
+        let matches = [];
+        try {
+            matches = await this.service.findSimilar(record, RecordManager.RELATED_RECORDS);
+        } catch (error) {
+            console.error('Error finding related records:', error);
+        }
+        
+        // Another record may have been selected in the meantime
+        const container = document.getElementById('related-records');
+        if (!container || this.selectedRecord !== record) return;
+        
+        this.relatedRecords = matches.map(match => match.record);
+        container.innerHTML = matches.length === 0
+            ? '<span class="related-empty">No close matches</span>'
+            : '';
+        
+        matches.forEach(match => {
+            const related = match.record;
+            const button = document.createElement('button');
+            button.className = 'related-record';
+            button.title = `${related.artworkName} (${related.artist})\n${this.describeSharedTraits(match.shared)}`;
+            
+            const image = document.createElement('img');
+            image.src = related.cover;
+            image.alt = related.artworkName;
+            image.loading = 'lazy';
+            image.onerror = () => {
+                image.remove();
+                button.textContent = related.artworkName;
+            };
+            
+            button.appendChild(image);
+            button.addEventListener('click', () => this.selectRelatedRecord(related, record));
+            container.appendChild(button);
+        });
+    }
+
+    /**
+     * Summarize why two records are related, e.g. "Shares genre: Shoegaze · mood: Dreamy"
+     * @param {Object} shared - Shared traits by kind (see SimilarityEngine.findSimilar)
+     * @returns {string} Summary
+     */
+    describeSharedTraits(shared) {
+        const parts = Object.entries(shared).map(([kind, values]) =>
+            // Genre lineages share every ancestor; the most specific one says enough
+            `${kind}: ${kind === 'genre' ? values[0] : values.join(', ')}`);
+        return `Shares ${parts.join(' · ')}`;
+    }
+
+    /**
+     * Select a related record in the 3D scene
+     * Records outside the current results are shown in the crates together with
+     * the other covers related to the same record.
+     * @param {Object} record - Related record to select
+     * @param {Object} origin - Record it is related to
+     * @returns {Promise} Resolves once the record is selected
+     */
+    async selectRelatedRecord(record, origin) {
+        let index = this.resultRecords.indexOf(record);
+        if (index === -1) {
+            this.queryGeneration++;
+            this.resultRecords = [origin, ...this.relatedRecords];
+            this.unloadedResults = 0;
+            index = this.resultRecords.indexOf(record);
+            this.currentPage = -1; // Not shown yet
+        }
+        
+        const page = Math.floor(index / this.getPageSize());
+        if (page !== this.currentPage) {
+            await this.goToPage(page);
+        }
+        this.scene.selectRecordData(record);
     }
 
     /**
@@ -284,7 +1137,6 @@ class RecordManager {
      */
     focusOnGenre(genre) {
         this.filterByGenre(genre);
-        document.getElementById('genre-filter').value = genre;
     }
 
     /**
@@ -304,66 +1156,114 @@ class RecordManager {
         const filteredElement = document.getElementById('filtered-records');
         
         if (totalElement) {
-            totalElement.textContent = this.currentRecords.length;
+            // A sharded catalog counts the records not loaded yet too
+            totalElement.textContent = this.shards ? this.shards.getTotal() : this.currentRecords.length;
         }
         
         if (filteredElement) {
             filteredElement.textContent = this.displayedRecords.length;
         }
+
+        this.updatePagingUI();
+        this.updateArrivalsUI();
+    }
+
+    /**
+     * Show the new arrivals button with its count, hiding it when nothing is new
+     */
+    updateArrivalsUI() {
+        const button = document.getElementById('new-arrivals-btn');
+        if (!button) return;
+
+        const count = this.getArrivalCount();
+        const group = button.closest('.control-group') || button;
+        group.hidden = count === 0;
+        button.querySelector('.chip-count').textContent = count;
+        button.classList.toggle('active', !!this.currentFilters.newSince);
+        button.setAttribute('aria-pressed', this.currentFilters.newSince ? 'true' : 'false');
+    }
+
+    /**
+     * Update the "showing 101–200 of 812" indicator and paging buttons
+     */
+    updatePagingUI() {
+        const { page, pageCount, start, end, total } = this.getPageInfo();
+
+        const indicator = document.getElementById('page-indicator');
+        if (indicator) {
+            indicator.textContent = total === 0
+                ? 'No matching records'
+                : `Showing ${start}–${end} of ${total}`;
+        }
+
+        const previousButton = document.getElementById('prev-page-btn');
+        if (previousButton) {
+            previousButton.disabled = page <= 0;
+        }
+
+        const nextButton = document.getElementById('next-page-btn');
+        if (nextButton) {
+            nextButton.disabled = page >= pageCount - 1;
+        }
     }
 
     /**
-     * Populate filter dropdown options
+     * Populate filter chip options
      */
     populateFilterOptions() {
-        let filterOptions;
+        // Options come from the loaded records; precomputed JSON options are only a fallback,
+        // or the whole catalog's options while some of its shards aren't loaded
+        const computedOptions = this.data.getFilterOptions();
+        const partial = this.shards && !this.shards.isComplete();
+        const filterOptions = (this.data.records.length > 0 && !partial) || !this.precomputedFilterOptions
+            ? computedOptions
+            : { ...computedOptions, ...this.precomputedFilterOptions };
+        const taxonomy = this.data.taxonomy;
         
-        // Use precomputed options if available (from JSON), otherwise compute from data
-        if (this.precomputedFilterOptions) {
-            filterOptions = this.precomputedFilterOptions;
-        } else {
-            filterOptions = this.data.getFilterOptions();
+        // Genres in tree order, subgenres indented under their parent
+        if (this.facetChips.genre) {
+            const genres = taxonomy.sortGenres(new Set(filterOptions.genres.map(g => taxonomy.canonicalGenre(g))));
+            this.facetChips.genre.setOptions(genres,
+                genre => '\u00A0\u00A0'.repeat(taxonomy.getGenreDepth(genre)) + genre);
         }
         
-        // Update genre filter
-        const genreSelect = document.getElementById('genre-filter');
-        if (genreSelect) {
-            this.updateSelectOptions(genreSelect, filterOptions.genres, 'All Genres');
+        if (this.facetChips.mood) {
+            const moods = new Set();
+            filterOptions.moods.forEach(mood => taxonomy.parseMoods(mood).forEach(m => moods.add(m)));
+            this.facetChips.mood.setOptions(Array.from(moods).sort());
         }
+
+        ['artist', 'collection', 'temperature', 'tone', 'category', 'decade'].forEach(facet => {
+            if (this.facetChips[facet]) {
+                const option = DataProcessor.FACETS[facet].option;
+                this.facetChips[facet].setOptions(filterOptions[option] || computedOptions[option]);
+            }
+        });
         
-        // Update mood filter
-        const moodSelect = document.getElementById('mood-filter');
-        if (moodSelect) {
-            this.updateSelectOptions(moodSelect, filterOptions.moods, 'All Moods');
+        // Colors in color-wheel order, each with its swatch
+        if (this.facetChips.color) {
+            const swatch = color => {
+                const known = this.data.colorVocabulary.getSwatch(color);
+                return known ? known.hex : null;
+            };
+            this.facetChips.color.setOptions(filterOptions.colors || computedOptions.colors, undefined, swatch);
         }
+
+        if (this.yearRange) {
+            this.yearRange.setBounds(filterOptions.yearRange || computedOptions.yearRange || null);
+        }
+
+        // Selections (e.g. from a shared link) only show once their options exist
+        this.updateFilterUI();
+        this.updateFacetCounts();
     }
 
     /**
-     * Update select element options
-     * @param {HTMLSelectElement} selectElement - Select element
-     * @param {Array} options - Option values
-     * @param {string} defaultText - Default option text
+     * Refresh the per-option record counts on the facet chips
      */
-    updateSelectOptions(selectElement, options, defaultText) {
-        // Keep the default option
-        const defaultOption = selectElement.querySelector('option[value=""]');
-        selectElement.innerHTML = '';
-        
-        if (defaultOption) {
-            selectElement.appendChild(defaultOption);
-        } else {
-            const option = document.createElement('option');
-            option.value = '';
-            option.textContent = defaultText;
-            selectElement.appendChild(option);
-        }
-        
-        // Add options
-        options.forEach(optionValue => {
-            const option = document.createElement('option');
-            option.value = optionValue;
-            option.textContent = optionValue;
-            selectElement.appendChild(option);
+    updateFacetCounts() {
+        Object.entries(this.facetChips).forEach(([facet, chips]) => {
+            chips.setCounts(this.facetCounts[facet] || {});
         });
     }
 
@@ -372,20 +1272,21 @@ class RecordManager {
      */
     updateFilterUI() {
         const searchInput = document.getElementById('search');
-        const genreSelect = document.getElementById('genre-filter');
-        const moodSelect = document.getElementById('mood-filter');
         
         if (searchInput) {
             searchInput.value = this.currentFilters.search || '';
         }
         
-        if (genreSelect) {
-            genreSelect.value = this.currentFilters.genre || '';
-        }
-        
-        if (moodSelect) {
-            moodSelect.value = this.currentFilters.mood || '';
+        const facetModes = this.currentFilters.facetModes || {};
+        Object.entries(this.facetChips).forEach(([facet, chips]) => {
+            chips.setSelected(this.currentFilters[facet], facetModes[facet] || 'any');
+        });
+
+        if (this.yearRange) {
+            this.yearRange.setRange(this.currentFilters.yearFrom, this.currentFilters.yearTo);
         }
+
+        this.updateArrivalsUI();
     }
 
     /**
@@ -401,10 +1302,86 @@ class RecordManager {
                 loadingElement.classList.remove('hidden');
             } else {
                 loadingElement.classList.add('hidden');
+                this.setStreaming(false);
+                this.showLoadProgress(0, 0);
             }
         }
     }
 
+    /**
+     * Switch the loading indicator between the centred spinner and the compact
+     * progress strip used once streamed records are on screen
+     * @param {boolean} streaming - Records are showing while loading continues
+     */
+    setStreaming(streaming) {
+        const loadingElement = document.getElementById('loading');
+        if (loadingElement) {
+            loadingElement.classList.toggle('streaming', streaming);
+        }
+    }
+
+    /**
+     * Update the download progress bar
+     * @param {number} loadedBytes - Bytes received so far
+     * @param {number} totalBytes - Expected bytes, 0 when unknown
+     */
+    showLoadProgress(loadedBytes, totalBytes) {
+        const progressElement = document.getElementById('load-progress');
+        const barElement = document.getElementById('load-progress-bar');
+        const textElement = document.getElementById('load-progress-text');
+        const records = this.data.records.length;
+        
+        // Compressed responses report their compressed length, so the total can be exceeded
+        const known = totalBytes > 0 && loadedBytes <= totalBytes;
+        const percent = known ? Math.round(loadedBytes / totalBytes * 100) : null;
+        
+        if (progressElement) {
+            progressElement.classList.toggle('hidden', loadedBytes === 0);
+            progressElement.classList.toggle('indeterminate', percent === null);
+            if (percent === null) {
+                progressElement.removeAttribute('aria-valuenow');
+            } else {
+                progressElement.setAttribute('aria-valuenow', percent);
+            }
+        }
+        if (barElement) {
+            barElement.style.width = percent === null ? '' : `${percent}%`;
+        }
+        if (textElement) {
+            const bytes = known
+                ? `${this.formatBytes(loadedBytes)} of ${this.formatBytes(totalBytes)}`
+                : this.formatBytes(loadedBytes);
+            textElement.textContent = loadedBytes === 0
+                ? ''
+                : `${bytes} · ${records.toLocaleString()} records`;
+        }
+    }
+
+    /**
+     * Format a byte count for display
+     * @param {number} bytes - Byte count
+     * @returns {string} e.g. "1.4 MB"
+     */
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Show parsing/indexing progress under the loading spinner
+     * @param {Object} progress - { stage, processed, total } from the data service
+     */
+    showLoadingProgress(progress) {
+        const messageElement = document.getElementById('loading-message');
+        if (!messageElement) return;
+
+        const stage = progress.stage === 'indexing' ? 'Indexing' : 'Parsing';
+        messageElement.textContent = progress.total > 0
+            ? `${stage} records… ${progress.processed.toLocaleString()} / ${progress.total.toLocaleString()}`
+            : `${stage} records…`;
+    }
+
     /**
      * Show error message
      * @param {string} message - Error message
@@ -435,20 +1412,73 @@ class RecordManager {
                 }, 300); // Debounce search
             });
         }
+        const hintsElement = document.getElementById('search-hints');
+        if (hintsElement) {
+            this.searchHints = new SearchHints(hintsElement);
+        }
 
-        // Genre filter
-        const genreSelect = document.getElementById('genre-filter');
-        if (genreSelect) {
-            genreSelect.addEventListener('change', (event) => {
-                this.filterByGenre(event.target.value);
+        // Paging
+        const previousButton = document.getElementById('prev-page-btn');
+        if (previousButton) {
+            previousButton.addEventListener('click', () => this.previousPage());
+        }
+
+        const nextButton = document.getElementById('next-page-btn');
+        if (nextButton) {
+            nextButton.addEventListener('click', () => this.nextPage());
+        }
+
+        // Sort mode
+        const sortSelect = document.getElementById('sort-mode');
+        if (sortSelect) {
+            sortSelect.innerHTML = '';
+            Object.entries(DataProcessor.SORT_MODES).forEach(([mode, { label }]) => {
+                const option = document.createElement('option');
+                option.value = mode;
+                option.textContent = label;
+                sortSelect.appendChild(option);
             });
+            this.updateSortUI();
+            sortSelect.addEventListener('change', (event) => {
+                this.setSortMode(event.target.value);
+            });
+        }
+
+        // Facet chip groups
+        this.facetChips = {};
+        Object.keys(DataProcessor.FACETS).forEach(facet => {
+            const container = document.getElementById(`${facet}-filter`);
+            if (container) {
+                this.facetChips[facet] = new FacetChipGroup(container, facet,
+                    (name, values, mode) => this.setFacet(name, values, mode));
+            }
+        });
+
+        // Release year range
+        const yearContainer = document.getElementById('year-filter');
+        if (yearContainer) {
+            this.yearRange = new YearRangeSlider(yearContainer, (from, to) => this.setYearRange(from, to));
         }
 
-        // Mood filter
-        const moodSelect = document.getElementById('mood-filter');
-        if (moodSelect) {
-            moodSelect.addEventListener('change', (event) => {
-                this.filterByMood(event.target.value);
+        // New arrivals since the last visit
+        const arrivalsButton = document.getElementById('new-arrivals-btn');
+        if (arrivalsButton) {
+            arrivalsButton.addEventListener('click', () => this.toggleNewArrivals());
+        }
+
+        // Export of the results or picks
+        const formatSelect = document.getElementById('export-format');
+        const scopeSelect = document.getElementById('export-scope');
+        const exportButton = document.getElementById('export-btn');
+        if (formatSelect && scopeSelect && exportButton) {
+            Object.entries(RecordExporter.FORMATS).forEach(([format, { label }]) => {
+                const option = document.createElement('option');
+                option.value = format;
+                option.textContent = label;
+                formatSelect.appendChild(option);
+            });
+            exportButton.addEventListener('click', () => {
+                this.exportRecords(scopeSelect.value, formatSelect.value);
             });
         }
     }
@@ -458,13 +1488,37 @@ class RecordManager {
      * @returns {Object} Statistics
      */
     getStatistics() {
+        // Until a sharded catalog is fully loaded, its manifest has the catalog-wide numbers
+        const stats = this.shards && !this.shards.isComplete() && this.shards.manifest.statistics
+            ? this.shards.manifest.statistics
+            : this.data.getStats();
         return {
-            ...this.data.getStats(),
+            ...stats,
             displayed: this.displayedRecords.length,
-            filtered: this.data.filterRecords(this.currentFilters).length
+            filtered: this.resultRecords.length + this.unloadedResults
         };
     }
 }
 
+/**
+ * Sort modes a sharded catalog can be browsed in shard by shard (see isShardOrdered)
+ */
+RecordManager.SHARD_ORDERED_SORTS = ['relevance', 'shuffle'];
+
+/**
+ * Minimum time between crate refreshes while records stream in (ms)
+ */
+RecordManager.STREAM_REFRESH_INTERVAL = 250;
+
+/**
+ * Related covers shown under "More like this"
+ */
+RecordManager.RELATED_RECORDS = 8;
+
+/**
+ * localStorage key remembering the dataset version seen on the last visit
+ */
+RecordManager.VISIT_KEY = 'digggin-last-visit';
+
 // Export for use in other modules
 window.RecordManager = RecordManager;
\ No newline at end of file
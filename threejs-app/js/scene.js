@@ -14,7 +14,10 @@ class SceneManager {
         
         // Scene objects
         this.crates = [];
+        this.crateSigns = [];
         this.records = [];
+        this.recordsPerCrate = 20;
+        this.newBadgeMaterial = null; // Shared by every "new" badge
         this.lights = [];
         
         // State
@@ -196,10 +199,10 @@ class SceneManager {
         vinyl.position.z = -0.05;
         vinyl.castShadow = true;
 
-        // Record label (center)
+        // Record label (center), colored by top-level genre
         const labelGeometry = new THREE.CylinderGeometry(0.3, 0.3, 0.11, 16);
         const labelMaterial = new THREE.MeshLambertMaterial({ 
-            color: 0x660000
+            color: this.getLabelColor(recordData.genreIndex)
         });
         const label = new THREE.Mesh(labelGeometry, labelMaterial);
         label.rotation.x = Math.PI / 2;
@@ -223,6 +226,20 @@ class SceneManager {
         return recordGroup;
     }
 
+    /**
+     * Get the label color for a top-level genre
+     * Hues step around the wheel by the golden angle, so neighbouring indexes differ
+     * clearly and a genre keeps its color however many genres follow it.
+     * @param {number} genreIndex - Record's genreIndex (see DataProcessor.addIndexes)
+     * @returns {THREE.Color} Label color
+     */
+    getLabelColor(genreIndex) {
+        if (!(genreIndex >= 0)) {
+            return new THREE.Color(0x660000);
+        }
+        return new THREE.Color().setHSL((genreIndex * 0.381966) % 1, 0.6, 0.35);
+    }
+
     /**
      * Load album cover texture
      * @param {string} imageUrl - Image URL
@@ -250,15 +267,30 @@ class SceneManager {
         );
     }
 
+    /**
+     * Get how many records fit in the crates
+     * @returns {number} Record capacity
+     */
+    getCapacity() {
+        return this.crates.length * this.recordsPerCrate;
+    }
+
     /**
      * Position records in crates
+     * Callers should page their records with getCapacity(); any overflow is reported.
      * @param {Array} records - Array of record data
+     * @param {Object} options - { crateLabel(record) } names what each record is filed under
+     *   (e.g. its decade); every filled crate then gets a sign naming what it holds.
+     *   { isNew(record) } picks the records that get a "new" badge.
      */
-    positionRecords(records) {
+    positionRecords(records, options = {}) {
         // Clear existing records
         this.clearRecords();
 
-        const recordsPerCrate = 20;
+        const recordsPerCrate = this.recordsPerCrate;
+        if (records.length > this.getCapacity()) {
+            console.warn(`${records.length - this.getCapacity()} records don't fit in the crates and were not placed`);
+        }
         let crateIndex = 0;
         let recordIndex = 0;
 
@@ -281,14 +313,93 @@ class SceneManager {
             const z = cratePosition.z + (Math.floor(recordIndex / 4) - 2.5) * 1.2;
 
             const position = new THREE.Vector3(x, y, z);
-            this.createRecord(recordData, position);
+            const record = this.createRecord(recordData, position);
+            if (options.isNew && options.isNew(recordData)) {
+                this.addNewBadge(record);
+            }
 
             recordIndex++;
         });
 
+        if (options.crateLabel) {
+            this.crates.forEach((crate, index) => {
+                const labels = [];
+                records.slice(index * recordsPerCrate, (index + 1) * recordsPerCrate).forEach(record => {
+                    const label = options.crateLabel(record);
+                    if (!labels.includes(label)) labels.push(label);
+                });
+                if (labels.length > 0) {
+                    this.createCrateSign(crate, labels.length > 2
+                        ? `${labels[0]} – ${labels[labels.length - 1]}`
+                        : labels.join(' / '));
+                }
+            });
+        }
+
         console.log(`Positioned ${this.records.length} records in ${crateIndex + 1} crates`);
     }
 
+    /**
+     * Hang a sign above a crate
+     * @param {THREE.Mesh} crate - Crate
+     * @param {string} text - Sign text
+     * @returns {THREE.Sprite} Sign
+     */
+    createCrateSign(crate, text) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 512;
+        canvas.height = 128;
+        const context = canvas.getContext('2d');
+        context.fillStyle = 'rgba(10, 10, 10, 0.8)';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = '#ffffff';
+        context.font = 'bold 64px sans-serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(text, canvas.width / 2, canvas.height / 2, canvas.width - 32);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        const sign = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture }));
+        sign.position.set(crate.position.x, crate.position.y + 8, crate.position.z);
+        sign.scale.set(8, 2, 1);
+
+        this.scene.add(sign);
+        this.crateSigns.push(sign);
+        return sign;
+    }
+
+    /**
+     * Tag a record as a new arrival with a badge on its sleeve
+     * @param {THREE.Group} recordGroup - Record 3D object (see createRecord)
+     * @returns {THREE.Sprite} Badge
+     */
+    addNewBadge(recordGroup) {
+        if (!this.newBadgeMaterial) {
+            const canvas = document.createElement('canvas');
+            canvas.width = 128;
+            canvas.height = 64;
+            const context = canvas.getContext('2d');
+            context.fillStyle = '#ffcc00';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.fillStyle = '#111111';
+            context.font = 'bold 40px sans-serif';
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.fillText('NEW', canvas.width / 2, canvas.height / 2);
+
+            const texture = new THREE.CanvasTexture(canvas);
+            texture.colorSpace = THREE.SRGBColorSpace;
+            this.newBadgeMaterial = new THREE.SpriteMaterial({ map: texture });
+        }
+
+        const badge = new THREE.Sprite(this.newBadgeMaterial);
+        badge.position.set(1.1, 1.6, 0.1);
+        badge.scale.set(1.2, 0.6, 1);
+        recordGroup.add(badge);
+        return badge;
+    }
+
     /**
      * Clear all records from the scene
      */
@@ -297,6 +408,12 @@ class SceneManager {
             this.scene.remove(record);
         });
         this.records = [];
+        this.crateSigns.forEach(sign => {
+            this.scene.remove(sign);
+            sign.material.map.dispose();
+            sign.material.dispose();
+        });
+        this.crateSigns = [];
         this.selectedRecord = null;
         this.hoveredRecord = null;
     }
@@ -380,6 +497,18 @@ class SceneManager {
         }
     }
 
+    /**
+     * Select the 3D record showing a record's data
+     * @param {Object} recordData - Record data (as passed to positionRecords)
+     * @returns {boolean} Whether the record is in the crates
+     */
+    selectRecordData(recordData) {
+        const record = this.records.find(r => r.userData.recordData === recordData);
+        if (!record) return false;
+        this.setSelectedRecord(record);
+        return true;
+    }
+
     /**
      * Setup event listeners
      */
@@ -0,0 +1,35 @@
+/**
+ * Query syntax hints for DIGGGIN record database
+ * Lists the problems QueryParser found below the search box; hidden when there are none.
+ */
+
+class SearchHints {
+    /**
+     * @param {HTMLElement} container - Element that holds the hints
+     */
+    constructor(container) {
+        this.container = container;
+    }
+
+    /**
+     * Show query syntax problems
+     * @param {Array} errors - Errors from DataProcessor.parseQuery; empty hides the hints
+     */
+    show(errors) {
+        // Messages quote the query, so they go in as text
+        this.container.replaceChildren(...errors.map(error => {
+            const hint = document.createElement('div');
+            hint.className = 'search-hint';
+            const message = document.createElement('strong');
+            message.textContent = error.message;
+            const help = document.createElement('span');
+            help.textContent = error.hint;
+            hint.append(message, help);
+            return hint;
+        }));
+        this.container.classList.toggle('hidden', errors.length === 0);
+    }
+}
+
+// Export for use in other modules
+window.SearchHints = SearchHints;
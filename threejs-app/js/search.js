@@ -0,0 +1,224 @@
+/**
+ * Inverted-index search engine for DIGGGIN record database
+ * Records are tokenized once; queries match whole tokens, prefixes and
+ * near-misses (typos) and come back ranked by field-weighted relevance.
+ */
+
+class SearchIndex {
+    /**
+     * @param {Object} options - Index options
+     * @param {Object} options.fieldWeights - Weight per record field (defaults to SearchIndex.DEFAULT_FIELD_WEIGHTS)
+     */
+    constructor(options = {}) {
+        this.fieldWeights = options.fieldWeights || SearchIndex.DEFAULT_FIELD_WEIGHTS;
+        this.records = [];
+        this.postings = new Map(); // term -> Map(recordIndex -> weight)
+        this.terms = [];           // sorted vocabulary for prefix lookups
+        this.termsByLength = new Map();
+    }
+
+    /**
+     * Build the index for a set of records
+     * @param {Array} records - Record objects
+     * @returns {SearchIndex} This index
+     */
+    build(records) {
+        this.records = records;
+        this.postings = new Map();
+
+        records.forEach((record, recordIndex) => {
+            Object.entries(this.fieldWeights).forEach(([field, weight]) => {
+                const value = record[field];
+                const text = Array.isArray(value) ? value.join(' ') : value;
+
+                new Set(this.tokenize(text)).forEach(term => {
+                    let posting = this.postings.get(term);
+                    if (!posting) {
+                        posting = new Map();
+                        this.postings.set(term, posting);
+                    }
+                    posting.set(recordIndex, (posting.get(recordIndex) || 0) + weight);
+                });
+            });
+        });
+
+        this.terms = Array.from(this.postings.keys()).sort();
+        this.termsByLength = new Map();
+        this.terms.forEach(term => {
+            if (!this.termsByLength.has(term.length)) {
+                this.termsByLength.set(term.length, []);
+            }
+            this.termsByLength.get(term.length).push(term);
+        });
+
+        console.log(`Search index built: ${records.length} records, ${this.terms.length} terms`);
+        return this;
+    }
+
+    /**
+     * Split text into lowercase, accent-free tokens
+     * @param {string} text - Text to tokenize
+     * @returns {Array} Tokens
+     */
+    tokenize(text) {
+        if (!text) return [];
+
+        return String(text)
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/['’]/g, '')
+            .split(/[^a-z0-9]+/)
+            .filter(token => token.length > 0);
+    }
+
+    /**
+     * Search the index
+     * Every query token must match (exactly, as a prefix or fuzzily); results
+     * are ordered by score, then by original record order.
+     * @param {string} query - Free-text query
+     * @param {Object} options - { limit }
+     * @returns {Array} Results as { record, score }
+     */
+    search(query, options = {}) {
+        const tokens = this.tokenize(query);
+        if (tokens.length === 0) return [];
+
+        let scores = null;
+
+        for (const token of tokens) {
+            const tokenScores = new Map();
+
+            this.findTerms(token).forEach(({ term, quality }) => {
+                this.postings.get(term).forEach((weight, recordIndex) => {
+                    const score = weight * quality;
+                    if (score > (tokenScores.get(recordIndex) || 0)) {
+                        tokenScores.set(recordIndex, score);
+                    }
+                });
+            });
+
+            if (scores === null) {
+                scores = tokenScores;
+            } else {
+                const combined = new Map();
+                scores.forEach((score, recordIndex) => {
+                    if (tokenScores.has(recordIndex)) {
+                        combined.set(recordIndex, score + tokenScores.get(recordIndex));
+                    }
+                });
+                scores = combined;
+            }
+
+            if (scores.size === 0) return [];
+        }
+
+        const results = Array.from(scores.entries())
+            .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+            .map(([recordIndex, score]) => ({ record: this.records[recordIndex], score }));
+
+        return options.limit ? results.slice(0, options.limit) : results;
+    }
+
+    /**
+     * Find indexed terms matching a query token
+     * @param {string} token - Query token
+     * @returns {Array} Matches as { term, quality } (1 = exact)
+     */
+    findTerms(token) {
+        const matches = new Map();
+
+        if (this.postings.has(token)) {
+            matches.set(token, 1);
+        }
+
+        // Prefix matches ("tam" → "tame"), scored by how much of the term was typed
+        for (let i = this.lowerBound(token); i < this.terms.length && this.terms[i].startsWith(token); i++) {
+            const term = this.terms[i];
+            if (!matches.has(term)) {
+                matches.set(term, 0.5 + 0.3 * (token.length / term.length));
+            }
+        }
+
+        // Typo tolerance: 1 edit from 4 characters, 2 edits from 8
+        const maxDistance = token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0;
+        for (let length = token.length - maxDistance; length <= token.length + maxDistance; length++) {
+            (this.termsByLength.get(length) || []).forEach(term => {
+                if (matches.has(term)) return;
+                const distance = this.editDistance(token, term, maxDistance);
+                if (distance <= maxDistance) {
+                    matches.set(term, 0.6 - 0.2 * distance);
+                }
+            });
+        }
+
+        return Array.from(matches.entries()).map(([term, quality]) => ({ term, quality }));
+    }
+
+    /**
+     * Binary search for the first vocabulary term >= token
+     * @param {string} token - Token
+     * @returns {number} Index into this.terms
+     */
+    lowerBound(token) {
+        let low = 0;
+        let high = this.terms.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.terms[mid] < token) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Levenshtein distance that gives up once it exceeds a limit
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @param {number} limit - Largest distance of interest
+     * @returns {number} Distance, or limit + 1 when over the limit
+     */
+    editDistance(a, b, limit) {
+        if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+        let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+
+            if (rowMin > limit) return limit + 1;
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+}
+
+/**
+ * Default field weights: artist and title count most, collections least
+ */
+SearchIndex.DEFAULT_FIELD_WEIGHTS = {
+    artist: 10,
+    songTitle: 10,
+    artworkName: 6,
+    genre: 4,
+    mood: 3,
+    artisticCategory: 2,
+    colors: 2,
+    colorTemperature: 1,
+    colorTones: 1,
+    collections: 1
+};
+
+// Export for use in other modules
+window.SearchIndex = SearchIndex;
@@ -0,0 +1,165 @@
+/**
+ * "More like this" similarity engine for DIGGGIN record database
+ * Records are compared by their moods, colors, collections, artistic category
+ * and genre lineage. Each shared trait counts by its kind (see
+ * SimilarityEngine.WEIGHTS) and by its rarity, so two records on the same
+ * obscure subgenre are closer than two that only share "Electronic".
+ */
+
+class SimilarityEngine {
+    /**
+     * @param {Taxonomy} taxonomy - Resolves genre lineages and mood spellings
+     * @param {Object} weights - Weight per trait kind (defaults to SimilarityEngine.WEIGHTS)
+     */
+    constructor(taxonomy, weights = SimilarityEngine.WEIGHTS) {
+        this.taxonomy = taxonomy;
+        this.weights = weights;
+        this.records = [];
+        this.features = [];       // record index -> trait keys
+        this.postings = new Map(); // trait key -> record indexes
+        this.totals = [];         // record index -> summed trait weight
+        this.indexOf = new Map(); // record -> record index
+        this.labels = new Map();  // trait key -> value as first written
+    }
+
+    /**
+     * Index records for lookups
+     * @param {Array} records - Normalized records
+     */
+    setRecords(records) {
+        this.records = records;
+        this.postings = new Map();
+        this.indexOf = new Map();
+        this.labels = new Map();
+        this.features = records.map(record => this.getFeatures(record));
+
+        this.features.forEach((keys, index) => {
+            this.indexOf.set(records[index], index);
+            keys.forEach(key => {
+                if (!this.postings.has(key)) this.postings.set(key, []);
+                this.postings.get(key).push(index);
+            });
+        });
+
+        this.totals = this.features.map(keys => keys.reduce((sum, key) => sum + this.getWeight(key), 0));
+    }
+
+    /**
+     * Trait keys of a record, as "kind:value"
+     * @param {Object} record - Record
+     * @returns {Array} Unique keys
+     */
+    getFeatures(record) {
+        const keys = new Set();
+        const add = (kind, value) => {
+            const label = String(value || '').trim();
+            if (!label) return;
+            const key = `${kind}:${label.toLowerCase()}`;
+            keys.add(key);
+            if (!this.labels.has(key)) this.labels.set(key, label);
+        };
+
+        if (record.genre) {
+            this.taxonomy.getGenreLineage(record.genre).forEach(genre => add('genre', genre));
+        }
+        (record.moods || this.taxonomy.parseMoods(record.mood)).forEach(mood => add('mood', mood));
+        (record.colors || []).forEach(color => add('color', color));
+        (record.collections || []).forEach(collection => add('collection', collection));
+        add('category', record.artisticCategory);
+
+        return Array.from(keys);
+    }
+
+    /**
+     * Weight of a trait: its kind's weight scaled by how rare it is
+     * @param {string} key - Trait key
+     * @returns {number} Weight
+     */
+    getWeight(key) {
+        const kind = key.slice(0, key.indexOf(':'));
+        const count = (this.postings.get(key) || []).length;
+        return (this.weights[kind] || 0) * Math.log(1 + this.records.length / Math.max(1, count));
+    }
+
+    /**
+     * Find the records most like a record
+     * Scores are the weighted share of traits the two records have in common (0-1).
+     * @param {Object} record - Record to match (must be one of the indexed records)
+     * @param {number} limit - Maximum matches
+     * @returns {Array} Matches as { index, record, score, shared }, best first; shared
+     *   lists the common traits by kind, e.g. { mood: ['Dreamy'], genre: ['Shoegaze'] }
+     */
+    findSimilar(record, limit = SimilarityEngine.DEFAULT_LIMIT) {
+        const origin = this.indexOf.get(record);
+        if (origin === undefined) return [];
+
+        const overlap = new Map(); // record index -> shared trait weight
+        this.features[origin].forEach(key => {
+            const weight = this.getWeight(key);
+            this.postings.get(key).forEach(index => {
+                if (index !== origin) {
+                    overlap.set(index, (overlap.get(index) || 0) + weight);
+                }
+            });
+        });
+
+        const matches = [];
+        overlap.forEach((shared, index) => {
+            const score = shared / (this.totals[origin] + this.totals[index] - shared);
+            if (score >= SimilarityEngine.MIN_SCORE) {
+                matches.push({ index, score });
+            }
+        });
+
+        return matches
+            .sort((a, b) => b.score - a.score || a.index - b.index)
+            .slice(0, limit)
+            .map(({ index, score }) => ({
+                index,
+                record: this.records[index],
+                score,
+                shared: this.getSharedTraits(origin, index)
+            }));
+    }
+
+    /**
+     * Traits two records have in common, grouped by kind
+     * @param {number} a - Record index
+     * @param {number} b - Record index
+     * @returns {Object} Kind -> values
+     */
+    getSharedTraits(a, b) {
+        const other = new Set(this.features[b]);
+        const shared = {};
+        this.features[a].filter(key => other.has(key)).forEach(key => {
+            const kind = key.slice(0, key.indexOf(':'));
+            if (!shared[kind]) shared[kind] = [];
+            shared[kind].push(this.labels.get(key));
+        });
+        return shared;
+    }
+}
+
+/**
+ * Weight of each trait kind
+ */
+SimilarityEngine.WEIGHTS = {
+    genre: 3,
+    mood: 2,
+    collection: 2,
+    category: 1.5,
+    color: 1
+};
+
+/**
+ * Matches returned when no limit is given
+ */
+SimilarityEngine.DEFAULT_LIMIT = 8;
+
+/**
+ * Matches scoring below this are too loose to suggest
+ */
+SimilarityEngine.MIN_SCORE = 0.05;
+
+// Export for use in other modules
+window.SimilarityEngine = SimilarityEngine;
@@ -8,6 +8,8 @@ class SimpleFilterManager {
         this.allRecords = [];
         this.filteredRecords = [];
         this.currentFilters = {};
+        this.currentPage = 0;
+        this.pageSize = 30;
         
         this.setupEventListeners();
     }
@@ -18,9 +20,41 @@ class SimpleFilterManager {
     setRecords(records) {
         this.allRecords = records;
         this.filteredRecords = [...records];
+        this.populateFilterOptions();
         this.updateDisplay();
     }
 
+    /**
+     * Fill the facet chip groups from the loaded records
+     */
+    populateFilterOptions() {
+        const options = this.app.dataProcessor.getFilterOptions();
+        const taxonomy = this.app.dataProcessor.taxonomy;
+
+        Object.entries(this.facetChips).forEach(([facet, chips]) => {
+            const values = options[DataProcessor.FACETS[facet].option] || [];
+            if (facet === 'genre') {
+                chips.setOptions(values, genre => '\u00A0\u00A0'.repeat(taxonomy.getGenreDepth(genre)) + genre);
+            } else {
+                chips.setOptions(values);
+            }
+        });
+        if (this.yearRange) {
+            this.yearRange.setBounds(options.yearRange);
+        }
+        this.updateFacetCounts();
+    }
+
+    /**
+     * Refresh the per-option record counts on the facet chips
+     */
+    updateFacetCounts() {
+        const counts = this.app.dataProcessor.getFacetCounts(this.currentFilters);
+        Object.entries(this.facetChips).forEach(([facet, chips]) => {
+            chips.setCounts(counts[facet] || {});
+        });
+    }
+
     /**
      * Setup event listeners for filter controls
      */
@@ -36,20 +70,41 @@ class SimpleFilterManager {
                 }, 300);
             });
         }
+        const hintsElement = document.getElementById('search-hints');
+        if (hintsElement) {
+            this.searchHints = new SearchHints(hintsElement);
+        }
 
-        // Genre filter
-        const genreSelect = document.getElementById('genre-filter');
-        if (genreSelect) {
-            genreSelect.addEventListener('change', (event) => {
-                this.applyFilters({ ...this.currentFilters, genre: event.target.value || null });
-            });
+        // Paging buttons
+        const previousButton = document.getElementById('prev-page-btn');
+        if (previousButton) {
+            previousButton.addEventListener('click', () => this.changePage(-1));
+        }
+        const nextButton = document.getElementById('next-page-btn');
+        if (nextButton) {
+            nextButton.addEventListener('click', () => this.changePage(1));
         }
 
-        // Mood filter
-        const moodSelect = document.getElementById('mood-filter');
-        if (moodSelect) {
-            moodSelect.addEventListener('change', (event) => {
-                this.applyFilters({ ...this.currentFilters, mood: event.target.value || null });
+        // Facet chip groups
+        this.facetChips = {};
+        Object.keys(DataProcessor.FACETS).forEach(facet => {
+            const container = document.getElementById(`${facet}-filter`);
+            if (container) {
+                this.facetChips[facet] = new FacetChipGroup(container, facet, (name, values, mode) => {
+                    this.applyFilters({
+                        ...this.currentFilters,
+                        [name]: values.length > 0 ? values : null,
+                        facetModes: { ...this.currentFilters.facetModes, [name]: mode }
+                    });
+                });
+            }
+        });
+
+        // Release year range
+        const yearContainer = document.getElementById('year-filter');
+        if (yearContainer) {
+            this.yearRange = new YearRangeSlider(yearContainer, (from, to) => {
+                this.applyFilters({ ...this.currentFilters, yearFrom: from, yearTo: to });
             });
         }
     }
@@ -60,37 +115,16 @@ class SimpleFilterManager {
     applyFilters(filters) {
         this.currentFilters = filters;
         
-        this.filteredRecords = this.allRecords.filter(record => {
-            // Search filter
-            if (filters.search && filters.search.trim()) {
-                const searchTerm = filters.search.toLowerCase();
-                const searchableText = [
-                    record.artworkName || record.artwork_name || '',
-                    record.artist || '',
-                    record.songTitle || record.song_title || '',
-                    record.genre || '',
-                    record.mood || '',
-                    ...(record.colors || []),
-                    ...(record.collections || [])
-                ].join(' ').toLowerCase();
-                
-                if (!searchableText.includes(searchTerm)) {
-                    return false;
-                }
-            }
-
-            // Genre filter
-            if (filters.genre && record.genre !== filters.genre) {
-                return false;
-            }
-
-            // Mood filter  
-            if (filters.mood && record.mood !== filters.mood) {
-                return false;
-            }
+        // Search box accepts the query language; results come back ranked by relevance.
+        // Invalid queries get hints and are searched as plain text meanwhile.
+        const search = filters.search && filters.search.trim();
+        if (this.searchHints) {
+            this.searchHints.show(search ? this.app.dataProcessor.parseQuery(filters.search).errors : []);
+        }
 
-            return true;
-        });
+        this.filteredRecords = this.app.dataProcessor.filterRecords(filters);
+        this.currentPage = 0;
+        this.updateFacetCounts();
 
         this.updateDisplay();
     }
@@ -99,30 +133,57 @@ class SimpleFilterManager {
      * Update the display with filtered records
      */
     updateDisplay() {
+        const pageCount = Math.max(1, Math.ceil(this.filteredRecords.length / this.pageSize));
+        this.currentPage = Math.min(Math.max(0, this.currentPage), pageCount - 1);
+        const start = this.currentPage * this.pageSize;
+        const end = Math.min(this.filteredRecords.length, start + this.pageSize);
+
         // Update grid
-        this.app.displayRecordsGrid(this.filteredRecords.slice(0, 30));
+        this.app.displayRecordsGrid(this.filteredRecords.slice(start, end));
         
         // Update stats
         this.app.updateStats(this.allRecords.length, this.filteredRecords.length);
+
+        // Update paging
+        const indicator = document.getElementById('page-indicator');
+        if (indicator) {
+            indicator.textContent = this.filteredRecords.length === 0
+                ? 'No matching records'
+                : `Showing ${start + 1}–${end} of ${this.filteredRecords.length}`;
+        }
+        const previousButton = document.getElementById('prev-page-btn');
+        if (previousButton) previousButton.disabled = this.currentPage <= 0;
+        const nextButton = document.getElementById('next-page-btn');
+        if (nextButton) nextButton.disabled = this.currentPage >= pageCount - 1;
         
         console.log(`Filtering: ${this.filteredRecords.length} of ${this.allRecords.length} records`);
     }
 
+    /**
+     * Move to another page of results
+     * @param {number} delta - Pages to move (+1 next, -1 previous)
+     */
+    changePage(delta) {
+        this.currentPage += delta;
+        this.updateDisplay();
+    }
+
     /**
      * Clear all filters
      */
     clearFilters() {
         this.currentFilters = {};
+        this.currentPage = 0;
         this.filteredRecords = [...this.allRecords];
         
         // Reset UI
         const searchInput = document.getElementById('search');
-        const genreSelect = document.getElementById('genre-filter');
-        const moodSelect = document.getElementById('mood-filter');
-        
         if (searchInput) searchInput.value = '';
-        if (genreSelect) genreSelect.value = '';
-        if (moodSelect) moodSelect.value = '';
+        Object.values(this.facetChips).forEach(chips => chips.setSelected([], 'any'));
+        if (this.searchHints) {
+            this.searchHints.show([]);
+        }
+        this.updateFacetCounts();
         
         this.updateDisplay();
     }
@@ -0,0 +1,274 @@
+/**
+ * Genre and mood taxonomy for DIGGGIN record database
+ * Folds spelling/casing variants onto canonical names and knows which
+ * genres are subgenres of which, so "Psychedelic" can include "Psychedelic Rock".
+ */
+
+class Taxonomy {
+    /**
+     * @param {Object} definition - Taxonomy definition (defaults to Taxonomy.DEFAULT_DEFINITION)
+     */
+    constructor(definition = Taxonomy.DEFAULT_DEFINITION) {
+        this.genres = new Map();
+        this.moods = new Map();
+        this.genreAliases = new Map();
+        this.moodAliases = new Map();
+        this.lineageCache = new Map();
+
+        (definition.genres || []).forEach(entry => this.addTerm(this.genres, this.genreAliases, entry));
+        (definition.moods || []).forEach(entry => this.addTerm(this.moods, this.moodAliases, entry));
+    }
+
+    /**
+     * Register a term and its aliases
+     * @param {Map} terms - Terms by canonical name
+     * @param {Map} aliases - Canonical names by normalized alias
+     * @param {Object} entry - { name, parent, aliases }
+     */
+    addTerm(terms, aliases, entry) {
+        terms.set(entry.name, { name: entry.name, parent: entry.parent || null });
+        [entry.name, ...(entry.aliases || [])].forEach(alias => {
+            aliases.set(this.normalizeKey(alias), entry.name);
+        });
+    }
+
+    /**
+     * Build a lookup key: case-folded, separators ("/", ",", "&", "and") collapsed to spaces
+     * @param {string} value - Raw value
+     * @returns {string} Lookup key
+     */
+    normalizeKey(value) {
+        return (value || '')
+            .toLowerCase()
+            .replace(/[\/,&+;_]|\band\b/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Title-case a value that isn't in the taxonomy ("lo-fi  dream pop" → "Lo-Fi Dream Pop")
+     * @param {string} value - Raw value
+     * @returns {string} Cleaned value
+     */
+    toTitleCase(value) {
+        return (value || '')
+            .trim()
+            .replace(/\s+/g, ' ')
+            .toLowerCase()
+            .replace(/(^|[\s\/\-])([a-z])/g, (match, separator, char) => separator + char.toUpperCase());
+    }
+
+    /**
+     * Get the canonical name for a genre
+     * @param {string} genre - Raw genre
+     * @returns {string} Canonical genre ('' for empty input)
+     */
+    canonicalGenre(genre) {
+        const key = this.normalizeKey(genre);
+        if (!key) return '';
+        return this.genreAliases.get(key) || this.toTitleCase(genre);
+    }
+
+    /**
+     * Check whether a genre is part of the taxonomy
+     * @param {string} genre - Raw genre
+     * @returns {boolean} Genre is known
+     */
+    isKnownGenre(genre) {
+        return this.genreAliases.has(this.normalizeKey(genre));
+    }
+
+    /**
+     * Get the parent of a genre
+     * Unknown genres are placed under the first top-level genre named in them
+     * @param {string} genre - Genre name
+     * @returns {string|null} Parent genre
+     */
+    getParentGenre(genre) {
+        const canonical = this.canonicalGenre(genre);
+        const known = this.genres.get(canonical);
+        if (known) return known.parent;
+
+        const words = this.normalizeKey(canonical).split(/[\s-]+/);
+        for (const word of words) {
+            const candidate = this.genreAliases.get(word);
+            if (candidate && candidate !== canonical && !this.genres.get(candidate).parent) {
+                return candidate;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get a genre followed by all of its ancestors
+     * @param {string} genre - Genre name
+     * @returns {Array} Lineage, most specific first
+     */
+    getGenreLineage(genre) {
+        const cached = this.lineageCache.get(genre);
+        if (cached) return cached;
+
+        const lineage = [];
+        let current = this.canonicalGenre(genre);
+
+        while (current && !lineage.includes(current)) {
+            lineage.push(current);
+            current = this.getParentGenre(current);
+        }
+
+        this.lineageCache.set(genre, lineage);
+        return lineage;
+    }
+
+    /**
+     * Get the top-level genre a genre falls under
+     * @param {string} genre - Genre name
+     * @returns {string} Top-level genre (the genre itself when it has no parent)
+     */
+    getRootGenre(genre) {
+        const lineage = this.getGenreLineage(genre);
+        return lineage[lineage.length - 1] || '';
+    }
+
+    /**
+     * Get the depth of a genre in the hierarchy (0 for top-level)
+     * @param {string} genre - Genre name
+     * @returns {number} Depth
+     */
+    getGenreDepth(genre) {
+        return Math.max(0, this.getGenreLineage(genre).length - 1);
+    }
+
+    /**
+     * Check whether a genre equals or falls under another genre
+     * @param {string} genre - Genre to test
+     * @param {string} ancestor - Genre to match against
+     * @param {boolean} includeSubgenres - Match descendants as well as the genre itself
+     * @returns {boolean} Genre matches
+     */
+    isGenreWithin(genre, ancestor, includeSubgenres = true) {
+        const target = this.canonicalGenre(ancestor);
+        if (!includeSubgenres) {
+            return this.canonicalGenre(genre) === target;
+        }
+        return this.getGenreLineage(genre).includes(target);
+    }
+
+    /**
+     * Sort genres into tree order: each parent followed by its subgenres
+     * @param {Array} genres - Genre names
+     * @returns {Array} Sorted genres
+     */
+    sortGenres(genres) {
+        const pathKey = genre => [...this.getGenreLineage(genre)].reverse().join('\u0000');
+        return [...genres].sort((a, b) => pathKey(a).localeCompare(pathKey(b)));
+    }
+
+    /**
+     * Get the canonical name for a single mood
+     * @param {string} mood - Raw mood
+     * @returns {string} Canonical mood ('' for empty input)
+     */
+    canonicalMood(mood) {
+        const key = this.normalizeKey(mood);
+        if (!key) return '';
+        return this.moodAliases.get(key) || this.toTitleCase(mood);
+    }
+
+    /**
+     * Split a mood cell into canonical moods
+     * Handles "Calming, Wanderlust", "Calming And Euphoric", "Lonely/Calming" and "Calming Euphoric"
+     * @param {string} moodText - Raw mood text
+     * @returns {Array} Unique canonical moods
+     */
+    parseMoods(moodText) {
+        const moods = [];
+
+        (moodText || '')
+            .split(/[,;\/&]|\band\b/i)
+            .map(part => part.trim())
+            .filter(part => part.length > 0)
+            .forEach(part => {
+                const words = part.split(/\s+/);
+                const allKnown = words.length > 1 && words.every(word => this.moodAliases.has(this.normalizeKey(word)));
+                const pieces = this.moodAliases.has(this.normalizeKey(part)) || !allKnown ? [part] : words;
+
+                pieces.forEach(piece => {
+                    const canonical = this.canonicalMood(piece);
+                    if (canonical && !moods.includes(canonical)) {
+                        moods.push(canonical);
+                    }
+                });
+            });
+
+        return moods;
+    }
+
+    /**
+     * Check whether a mood is part of the taxonomy
+     * @param {string} mood - Raw mood
+     * @returns {boolean} Mood is known
+     */
+    isKnownMood(mood) {
+        return this.moodAliases.has(this.normalizeKey(mood));
+    }
+}
+
+/**
+ * Default taxonomy, built from the values used in DiggerDB.csv
+ */
+Taxonomy.DEFAULT_DEFINITION = {
+    genres: [
+        { name: 'Psychedelic', aliases: ['psych'] },
+        { name: 'Psychedelic Rock', parent: 'Psychedelic', aliases: ['psych rock'] },
+        { name: 'Psychedelic Indie', parent: 'Psychedelic', aliases: ['Indie Psychedelic'] },
+        { name: 'Psychedelic Pop', parent: 'Psychedelic', aliases: ['psych pop'] },
+        { name: 'Psychedelic Electronic', parent: 'Psychedelic', aliases: ['Psychedelic Electronica', 'Electronic Psychedelic'] },
+        { name: 'Psychedelic Ambient', parent: 'Psychedelic', aliases: ['Ambient Psychedelic'] },
+        { name: 'Psychedelic Funk', parent: 'Psychedelic' },
+        { name: 'Psychedelic Folk', parent: 'Psychedelic' },
+        { name: 'Neo-Psychedelic', parent: 'Psychedelic', aliases: ['Neo Psychedelic', 'Neo-Psychedelia'] },
+        { name: 'Lo-Fi Psychedelic', parent: 'Psychedelic', aliases: ['Lofi Psychedelic'] },
+        { name: 'Indie', aliases: ['Indie Music'] },
+        { name: 'Indie Rock', parent: 'Indie' },
+        { name: 'Indie Dream Pop', parent: 'Indie' },
+        { name: 'Indie Ambient', parent: 'Indie', aliases: ['Ambient Indie'] },
+        { name: 'Electronic Indie', parent: 'Indie', aliases: ['Indie Electronic', 'Indietronica'] },
+        { name: 'Ambient' },
+        { name: 'Ambient Electronic', parent: 'Ambient', aliases: ['Electronic Ambient'] },
+        { name: 'Instrumental Ambient', parent: 'Ambient' },
+        { name: 'Electronic', aliases: ['Electronica', 'Electro'] },
+        { name: 'Progressive Trance', parent: 'Electronic', aliases: ['Electro/Progressive Trance', 'Trance'] },
+        { name: 'Alternative', aliases: ['Alt'] },
+        { name: 'Alternative Rock', parent: 'Alternative', aliases: ['Alt Rock', 'Alt-Rock'] },
+        { name: 'Rock' },
+        { name: 'Experimental Rock', parent: 'Rock' },
+        { name: 'Punk Rock', parent: 'Rock', aliases: ['Punk'] },
+        { name: 'Pop' },
+        { name: 'Dream Pop', parent: 'Pop' },
+        { name: 'Hip Hop', aliases: ['Hip-Hop', 'Hiphop', 'Rap'] },
+        { name: 'Jazz' },
+        { name: 'Jazz Fusion', parent: 'Jazz' }
+    ],
+    moods: [
+        { name: 'Euphoric', aliases: ['Euphoria'] },
+        { name: 'Calming', aliases: ['Calm', 'Calmness'] },
+        { name: 'Wanderlust' },
+        { name: 'Rebellious' },
+        { name: 'Lonely', aliases: ['Loneliness'] },
+        { name: 'Mysterious' },
+        { name: 'Dreamy', aliases: ['Dreamlike'] },
+        { name: 'Energetic' },
+        { name: 'Lively' },
+        { name: 'Dynamic' },
+        { name: 'Intense' },
+        { name: 'Enigmatic' },
+        { name: 'Melancholic', aliases: ['Melancholy'] },
+        { name: 'Moody' },
+        { name: 'Eerie' },
+        { name: 'Nostalgic', aliases: ['Nostalgia'] }
+    ]
+};
+
+// Export for use in other modules
+window.Taxonomy = Taxonomy;
@@ -0,0 +1,285 @@
+/**
+ * Dataset validator for DIGGGIN record database
+ * Checks the raw CSV cells (before trimming and taxonomy folding) and lists
+ * every problem with its CSV line and spreadsheet cell, so catalogers can fix
+ * the source sheet rather than the generated JSON.
+ */
+
+class DatasetValidator {
+    /**
+     * @param {DataProcessor} processor - Supplies the tokenizer, column schema and taxonomy
+     */
+    constructor(processor = new DataProcessor()) {
+        this.processor = processor;
+        this.taxonomy = processor.taxonomy;
+    }
+
+    /**
+     * Validate CSV text
+     * @param {string} csvData - Raw CSV string
+     * @returns {Object} { issues, summary } - issues are sorted by line; see createIssue for their shape
+     */
+    validateCSV(csvData) {
+        const { rows, errors } = this.processor.tokenizeCSV(csvData);
+        const issues = errors.map(error =>
+            this.createIssue({ line: error.line }, null, 'csv-syntax', 'error', error.reason, ''));
+
+        if (rows.length === 0) {
+            return this.createReport(issues, 0);
+        }
+        return this.validateRows(rows[0], rows.slice(1), issues);
+    }
+
+    /**
+     * Validate a catalog read by CatalogImporter, the way its rows will be turned into records
+     * Issue lines are positions in the source file (CSV line, JSON entry or library track)
+     * and columns are record fields; there are no spreadsheet cells to point at.
+     * @param {Object} imported - Result of CatalogImporter.read
+     * @returns {Object} { issues, summary } - see validateCSV
+     */
+    validateImport(imported) {
+        const issues = imported.skipped.map(({ line, reason }) =>
+            this.createIssue({ line }, null, 'import-skipped', 'warning', reason, ''));
+        const report = this.validateRows({ line: null, fields: imported.headers }, imported.rows, issues);
+        report.issues.forEach(issue => { issue.cell = null; });
+        return report;
+    }
+
+    /**
+     * Validate tokenized rows against their header
+     * @param {Object} header - { line, fields } of the header row
+     * @param {Array} rows - { line, fields } of the record rows
+     * @param {Array} issues - Issues found so far; more are added
+     * @returns {Object} { issues, summary } - see validateCSV
+     */
+    validateRows(header, rows, issues = []) {
+        const mapping = this.processor.resolveColumns(header.fields);
+        mapping.missing.filter(m => m.required).forEach(({ field }) => {
+            issues.push(this.createIssue({ line: header.line, row: 1 }, null, 'missing-column', 'error',
+                `Required column for "${field}" not found`, ''));
+        });
+
+        const seenRows = new Map(); // normalized row -> first spreadsheet row
+        let recordCount = 0;
+
+        rows.forEach((row, index) => {
+            const location = { line: row.line, row: index + 2 };
+            const { fields } = row;
+
+            if (fields.length === 1 && fields[0] === '') return;
+            recordCount++;
+
+            if (fields.length !== mapping.headers.length) {
+                issues.push(this.createIssue(location, null, 'field-count', 'error',
+                    `Expected ${mapping.headers.length} fields but found ${fields.length}`, ''));
+            }
+
+            mapping.columns.forEach(column => {
+                this.checkCell(location, column, fields[column.index] || '').forEach(issue => issues.push(issue));
+            });
+
+            const key = fields.map(field => field.trim().toLowerCase().replace(/\s+/g, ' ')).join('\u0000');
+            if (seenRows.has(key)) {
+                issues.push(this.createIssue(location, null, 'duplicate-row', 'warning',
+                    `Duplicate of spreadsheet row ${seenRows.get(key).row} (line ${seenRows.get(key).line})`, ''));
+            } else {
+                seenRows.set(key, location);
+            }
+        });
+
+        return this.createReport(issues, recordCount);
+    }
+
+    /**
+     * Cell-level checks for one mapped column
+     * @param {Object} location - { line, row }
+     * @param {Object} column - { index, header, definition } from DataProcessor.resolveColumns
+     * @param {string} value - Raw cell value
+     * @returns {Array} Issues
+     */
+    checkCell(location, column, value) {
+        const issues = [];
+        const field = column.definition.field;
+        const issue = (rule, severity, message) => issues.push(this.createIssue(location, column, rule, severity, message, value));
+
+        if (value.trim() === '') {
+            if (column.definition.required) {
+                issue('missing-value', 'error', `${column.header} is required`);
+            } else if (field === 'mood') {
+                issue('empty-mood', 'warning', 'Mood is empty');
+            }
+            return issues;
+        }
+
+        if (value !== value.trim()) {
+            issue('whitespace', 'warning', 'Leading or trailing spaces');
+        }
+        if (/\s{2,}/.test(value.trim()) || /[\t\u00A0]/.test(value)) {
+            issue('whitespace', 'warning', 'Repeated spaces, tabs or non-breaking spaces');
+        }
+
+        if (field === 'cover' && !this.isValidCoverURL(value.trim())) {
+            issue('cover-url', 'error', 'Cover is not a valid http(s) URL');
+        }
+
+        if (field === 'genre') {
+            const canonical = this.taxonomy.canonicalGenre(value);
+            if (!this.taxonomy.isKnownGenre(value)) {
+                const parent = this.taxonomy.getParentGenre(value);
+                issue('unknown-genre', 'warning', parent
+                    ? `Genre "${value.trim()}" is not in the taxonomy (will be filed under ${parent})`
+                    : `Genre "${value.trim()}" is not in the taxonomy`);
+            } else if (canonical !== value.trim() && canonical.toLowerCase() === value.trim().toLowerCase()) {
+                issue('casing', 'info', `Write as "${canonical}"`);
+            }
+        }
+
+        if (field === 'colors') {
+            const { unknown } = this.processor.colorVocabulary.parse(value);
+            if (unknown.length > 0) {
+                issue('unknown-color', 'info', `Not in the color vocabulary: ${unknown.join(', ')}`);
+            }
+        }
+
+        if (field === 'releaseYear' && this.processor.parseYear(value) === null) {
+            issue('release-year', 'warning', `No release year found in "${value.trim()}"`);
+        }
+        if (field === 'decade' && this.processor.parseDecade(value) === null) {
+            issue('release-year', 'warning', `No decade found in "${value.trim()}" (write it like 1970s)`);
+        }
+
+        if (DatasetValidator.CASE_CHECKED_FIELDS.includes(field)) {
+            const letters = value.replace(/[^a-zA-Z]/g, '');
+            if (letters.length > 5 && letters === letters.toUpperCase()) {
+                issue('casing', 'info', 'Written in all capitals');
+            } else if (letters.length > 3 && letters === letters.toLowerCase()) {
+                issue('casing', 'info', 'Written in all lowercase');
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Check that a cover is an absolute http(s) URL without spaces
+     * @param {string} value - Cover cell value
+     * @returns {boolean} URL is usable
+     */
+    isValidCoverURL(value) {
+        if (/\s/.test(value)) return false;
+
+        try {
+            const url = new URL(value);
+            return (url.protocol === 'http:' || url.protocol === 'https:') && url.hostname.includes('.');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Build an issue entry
+     * @param {Object} location - { line, row } - CSV line and spreadsheet row (1-based)
+     * @param {Object|null} column - Column the issue is in, null for whole-row issues
+     * @param {string} rule - Rule id (see DatasetValidator.RULES)
+     * @param {string} severity - 'error', 'warning' or 'info'
+     * @param {string} message - What is wrong
+     * @param {string} value - Offending cell value
+     * @returns {Object} { line, row, cell, column, field, rule, severity, message, value }
+     */
+    createIssue(location, column, rule, severity, message, value) {
+        return {
+            line: location.line,
+            row: location.row || null,
+            cell: column && location.row ? `${this.columnLetter(column.index)}${location.row}` : null,
+            column: column ? column.header : null,
+            field: column ? column.definition.field : null,
+            rule,
+            severity,
+            message,
+            value
+        };
+    }
+
+    /**
+     * Spreadsheet column name for a 0-based index (0 → A, 26 → AA)
+     * @param {number} index - Column index
+     * @returns {string} Column letters
+     */
+    columnLetter(index) {
+        let letters = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+        }
+        return letters;
+    }
+
+    /**
+     * Sort issues and summarize them
+     * @param {Array} issues - Issues
+     * @param {number} recordCount - Records checked
+     * @returns {Object} { issues, summary: { records, recordsWithIssues, bySeverity, byRule } }
+     */
+    createReport(issues, recordCount) {
+        const severityOrder = { error: 0, warning: 1, info: 2 };
+        issues.sort((a, b) => a.line - b.line || severityOrder[a.severity] - severityOrder[b.severity]);
+
+        const bySeverity = { error: 0, warning: 0, info: 0 };
+        const byRule = {};
+        issues.forEach(issue => {
+            bySeverity[issue.severity]++;
+            byRule[issue.rule] = (byRule[issue.rule] || 0) + 1;
+        });
+
+        return {
+            issues,
+            summary: {
+                records: recordCount,
+                recordsWithIssues: new Set(issues.filter(i => i.row > 1).map(i => i.row)).size,
+                bySeverity,
+                byRule
+            }
+        };
+    }
+
+    /**
+     * Export a report as CSV for spreadsheet users
+     * @param {Object} report - Report from validateCSV
+     * @returns {string} CSV text
+     */
+    toCSV(report) {
+        // Values are raw catalog cells, so they get the same formula escaping as exports
+        return CSVWriter.format([
+            ['Line', 'Row', 'Cell', 'Column', 'Severity', 'Rule', 'Message', 'Value'],
+            ...report.issues.map(issue => [
+                issue.line, issue.row, issue.cell, issue.column, issue.severity, issue.rule, issue.message, issue.value
+            ])
+        ]);
+    }
+}
+
+/**
+ * Fields checked for ALL CAPS / all lowercase
+ */
+DatasetValidator.CASE_CHECKED_FIELDS = ['artist', 'songTitle', 'artworkName'];
+
+/**
+ * Rule ids and what they mean
+ */
+DatasetValidator.RULES = {
+    'csv-syntax': 'Broken quoting in the CSV file',
+    'missing-column': 'A required column is missing from the header',
+    'field-count': 'Row has more or fewer cells than the header',
+    'missing-value': 'Required cell (cover, genre, artist, song title) is empty',
+    'empty-mood': 'Mood cell is empty',
+    'cover-url': 'Cover is not a valid http(s) URL',
+    'unknown-genre': 'Genre is not in the taxonomy',
+    'unknown-color': 'Color words the color vocabulary does not know',
+    'whitespace': 'Stray, repeated or non-breaking spaces',
+    'release-year': 'Release year or era that cannot be read',
+    'casing': 'Unusual capitalization',
+    'duplicate-row': 'Row repeats an earlier row',
+    'import-skipped': 'Entry of an imported catalog left out (not music, not an object, broken quoting)'
+};
+
+// Export for use in other modules
+window.DatasetValidator = DatasetValidator;
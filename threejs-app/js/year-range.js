@@ -0,0 +1,117 @@
+/**
+ * Release year range filter for DIGGGIN record database
+ * Two sliders (from / to) over the catalog's years; the whole span means no filter.
+ */
+
+class YearRangeSlider {
+    /**
+     * @param {HTMLElement} container - Element that holds the sliders
+     * @param {Function} onChange - Called with (from, to) when the range changes; both are
+     *   null when the whole span is selected
+     */
+    constructor(container, onChange) {
+        this.container = container;
+        this.onChange = onChange;
+        this.bounds = null; // { min, max } of the catalog's years
+        this.from = null;
+        this.to = null;
+
+        this.container.classList.add('year-range');
+        this.container.setAttribute('role', 'group');
+
+        this.fromInput = this.createSlider('From year');
+        this.toInput = this.createSlider('To year');
+        this.output = document.createElement('output');
+        this.output.className = 'year-range-value';
+        this.container.append(this.fromInput, this.toInput, this.output);
+
+        // Sliders move freely; the filter is applied once a slider is let go
+        [this.fromInput, this.toInput].forEach(input => {
+            input.addEventListener('input', () => this.readSliders(input));
+            input.addEventListener('change', () => this.onChange(...this.getRange()));
+        });
+    }
+
+    /**
+     * Create one range input
+     * @param {string} label - Accessible name
+     * @returns {HTMLInputElement} Slider
+     */
+    createSlider(label) {
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.step = 1;
+        input.setAttribute('aria-label', label);
+        return input;
+    }
+
+    /**
+     * Set the span of years to choose from
+     * The control hides itself when no record has a release year.
+     * @param {Object|null} bounds - { min, max } (see DataProcessor.getFilterOptions yearRange)
+     */
+    setBounds(bounds) {
+        this.bounds = bounds;
+        const group = this.container.closest('.control-group') || this.container;
+        group.hidden = !bounds;
+        if (!bounds) return;
+
+        [this.fromInput, this.toInput].forEach(input => {
+            input.min = bounds.min;
+            input.max = bounds.max;
+        });
+        this.render();
+    }
+
+    /**
+     * Set the selected range without notifying
+     * @param {number|null} from - First year, null for the earliest
+     * @param {number|null} to - Last year, null for the latest
+     */
+    setRange(from, to) {
+        this.from = from || null;
+        this.to = to || null;
+        this.render();
+    }
+
+    /**
+     * Get the selected range
+     * @returns {Array} [from, to], each null when it is at the end of the span
+     */
+    getRange() {
+        return [this.from, this.to];
+    }
+
+    /**
+     * Take the range from the sliders, keeping from <= to
+     * @param {HTMLInputElement} moved - Slider the user moved
+     */
+    readSliders(moved) {
+        let from = parseInt(this.fromInput.value, 10);
+        let to = parseInt(this.toInput.value, 10);
+        if (from > to) {
+            if (moved === this.fromInput) to = from;
+            else from = to;
+        }
+
+        this.from = from > this.bounds.min ? from : null;
+        this.to = to < this.bounds.max ? to : null;
+        this.render();
+    }
+
+    /**
+     * Sync the sliders and label with the selected range
+     */
+    render() {
+        if (!this.bounds) return;
+
+        const from = this.from || this.bounds.min;
+        const to = this.to || this.bounds.max;
+        this.fromInput.value = from;
+        this.toInput.value = to;
+        this.output.textContent = from === to ? `${from}` : `${from}–${to}`;
+    }
+}
+
+// Export for use in other modules
+window.YearRangeSlider = YearRangeSlider;